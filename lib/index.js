@@ -24,550 +24,3666 @@
  * @typedef {Object.<string,metalsmith-plugin-kit~metalsmithFile>} metalsmithFileCollection
  */
 
-var micromatch;
+var jsYaml, micromatch, path, serializerFormats, serializers;
 
+jsYaml = require("js-yaml");
 micromatch = require("micromatch");
+path = require("path");
+serializers = {};
+serializerFormats = {};
 
 
 /**
- * Adds a file to the files object. Converts the contents for you automatically.
- * Sets the file mode to 0644 as well.
- *
- * The contents can be converted:
+ * Creates the error used when a function call is cancelled by an
+ * AbortSignal.
  *
- * * Buffers remain intact.
- * * Strings are encoded into Buffer objects.
- * * All other things are passed through `JSON.stringify()` and then encoded
- *   as a buffer.
- *
- * @example
- * // Make a sample plugin that adds hello.txt.
- * return pluginKit.middleware({
- *     after: (files) => {
- *         pluginKit.addFile(files, "hello.txt", "Hello world!");
- *     }
- * });
+ * @private
+ * @param {Function} fn
+ * @param {AbortSignal} signal
+ * @return {Error}
+ */
+function abortError(fn, signal) {
+    var err;
+
+    err = new Error(`Call to ${fn.name || "anonymous function"} was aborted`);
+    err.name = "AbortError";
+    err.code = "ABORT_ERR";
+    err.cause = signal.reason;
+
+    return err;
+}
+
+
+/**
+ * Combines several errors into a single AggregateError whose message lists
+ * each of the errors. Node.js versions without `AggregateError` get a plain
+ * Error with the same name and properties.
  *
- * @param {metalsmith-plugin-kit~metalsmithFileCollection} files
- * @param {string} filename
- * @param {(Buffer|string|*)} contents
- * @param {Object} [options]
- * @param {string} [options.encoding=utf8]
- * @param {string} [options.mode=0644]
+ * @private
+ * @param {Array.<Error>} errors
+ * @param {string} message Summary line for the combined error.
+ * @return {Error}
  */
-exports.addFile = (files, filename, contents, options) => {
-    options = exports.defaultOptions({
-        encoding: "utf8",
-        mode: "0644"
-    }, options);
+function aggregateErrors(errors, message) {
+    var err;
 
-    if (!Buffer.isBuffer(contents)) {
-        if (typeof contents !== "string") {
-            contents = JSON.stringify(contents);
-        }
+    errors.forEach((error) => {
+        message += `\n    ${error.message}`;
+    });
 
-        contents = Buffer.from(contents, options.encoding);
+    if (typeof global.AggregateError === "function") {
+        return new global.AggregateError(errors, message);
     }
 
-    files[filename] = {
-        contents,
-        mode: options.mode
-    };
-};
+    err = new Error(message);
+    err.name = "AggregateError";
+    err.errors = errors;
+
+    return err;
+}
 
 
 /**
- * Calls a function and passes it a number of arguments. The function can
- * be synchronous and return a value, asynchronous and return a Promise, or
- * asynchronous and support a Node-style callback.
+ * Wraps an error so the message identifies where it came from. The original
+ * error is available as `cause` and additional properties are copied to the
+ * new error.
  *
- * The result of the promise is the value provided by the returned value,
- * the resolved Promise, or the callback's result. If there is an error thrown
- * or one supplied via a Promise rejection or the callback, this function's
- * Promise will be rejected.
- *
- * @example
- * function testSync(message) {
- *     console.log(message);
- * }
+ * @private
+ * @param {*} cause The thrown value or rejection reason.
+ * @param {string} location Prefix for the message.
+ * @param {Object} properties
+ * @return {Error}
+ */
+function annotateError(cause, location, properties) {
+    var err;
+
+    err = new Error(`${location}: ${cause && cause.message || cause}`);
+    err.cause = cause;
+    Object.keys(properties).forEach((key) => {
+        err[key] = properties[key];
+    });
+
+    return err;
+}
+
+
+/**
+ * Returns the source code of a function's parameter list. This is a
+ * heuristic that handles function declarations, function expressions,
+ * methods and arrow functions. Default values that contain parentheses are
+ * supported because nesting is tracked.
  *
- * promise = pluginKit.callFunction(testSync, [ "sample message" ]);
- * // sample message is printed and promise will be resolved asynchronously
+ * @private
+ * @param {Function} fn
+ * @return {string}
+ */
+function parameterSource(fn) {
+    var arrow, depth, end, source, start;
+
+    source = Function.prototype.toString.call(fn);
+    start = source.indexOf("(");
+    arrow = source.indexOf("=>");
+
+    // Single parameter arrow functions, such as "x => x".
+    if (arrow !== -1 && (start === -1 || arrow < start)) {
+        return source.slice(0, arrow);
+    }
+
+    if (start === -1) {
+        return "";
+    }
+
+    depth = 0;
+
+    for (end = start; end < source.length; end += 1) {
+        if (source[end] === "(") {
+            depth += 1;
+        } else if (source[end] === ")") {
+            depth -= 1;
+
+            if (!depth) {
+                break;
+            }
+        }
+    }
+
+    return source.slice(start + 1, end);
+}
+
+
+/**
+ * Determines if a function's parameters make it unclear whether it expects
+ * a callback. Default values and rest parameters are not counted by
+ * `fn.length`, and functions that expect more than one extra parameter
+ * are unlikely to have been written for the arguments they are passed.
  *
- * @example
- * function testPromise(message) {
- *     return new Promise((resolve, reject) => {
- *         setTimeout(() => {
- *             console.log(message);
- *             resolve();
- *         }, 1000);
- *     });
- * }
+ * @private
+ * @param {Function} fn
+ * @param {Array.<*>} args
+ * @return {(string|null)} Description of the problem, if there is one.
+ */
+function arityProblem(fn, args) {
+    var params;
+
+    params = parameterSource(fn);
+
+    if (params.indexOf("...") !== -1) {
+        return "uses rest parameters, so it is unclear if it accepts a callback";
+    }
+
+    if (/(^|[^=!<>])=(?![=>])/.test(params)) {
+        return "has default parameters, so it is unclear if it accepts a callback";
+    }
+
+    if (fn.length > args.length + 1) {
+        return `expects ${fn.length} parameters but is passed ${args.length} arguments and a callback`;
+    }
+
+    return null;
+}
+
+
+/**
+ * Determines if a value looks like a Promise.
  *
- * promise = pluginKit.callFunction(testPromise, [ "sample message" ]);
- * // promise will be resolved after message is printed
+ * @private
+ * @param {*} value
+ * @return {boolean}
+ */
+function isThenable(value) {
+    return Boolean(value) && typeof value.then === "function";
+}
+
+
+/**
+ * Creates the error used when strict mode detects a function that misuses
+ * callbacks or Promises.
  *
- * @example
- * function testCallback(message, done) {
- *     setTimeout(() => {
- *         console.log(message);
- *         done();
- *     });
- * }
+ * @private
+ * @param {Function} fn
+ * @param {string} problem
+ * @return {Error}
+ */
+function misuseError(fn, problem) {
+    var err;
+
+    err = new Error(`${fn.name || "anonymous function"} ${problem}`);
+    err.name = "CallbackMisuseError";
+    err.code = "ERR_CALLBACK_MISUSE";
+
+    return err;
+}
+
+
+/**
+ * Calls a function and appends a Node-style callback to the arguments.
  *
- * promise = pluginKit.callFunction(testCallback, [ "sample message" ]);
- * // promise will be resolved after message is printed
+ * In strict mode, calling the callback more than once or also returning a
+ * Promise is reported. The problem rejects the returned Promise when it is
+ * still pending, otherwise it is emitted as a process warning.
  *
- * @param {Function} fn Function to call
- * @param {Array.<*>} [args] Arguments to pass to the function.
+ * @private
+ * @param {Function} fn
+ * @param {Array.<*>} args
+ * @param {boolean} strict
  * @return {Promise.<*>}
  */
-exports.callFunction = (fn, args) => {
-    if (!fn) {
-        return Promise.resolve();
-    }
+function callWithCallback(fn, args, strict) {
+    return new Promise((resolve, reject) => {
+        var calls, report, returned, settled;
+
+        calls = 0;
+        settled = false;
+        report = (problem) => {
+            var err;
+
+            err = misuseError(fn, problem);
+
+            if (settled) {
+                process.emitWarning(err);
+            } else {
+                settled = true;
+                reject(err);
+            }
+        };
+        returned = fn.apply(null, args.concat((err, result) => {
+            calls += 1;
+
+            if (calls > 1) {
+                if (strict) {
+                    report("called its callback more than once");
+                }
+            } else if (!settled) {
+                settled = true;
 
-    if (args && fn.length > args.length) {
-        // Supports callbacks
-        return new Promise((resolve, reject) => {
-            args = args.concat((err, result) => {
                 if (err) {
                     reject(err);
                 } else {
                     resolve(result);
                 }
-            });
-            fn.apply(null, args);
-        });
-    }
+            }
+        }));
+
+        if (strict && isThenable(returned)) {
+            report("accepts a callback and also returned a Promise");
+        }
+    });
+}
+
 
-    // Synchronous and promise-enabled functions
+/**
+ * Calls a function that is synchronous or returns a Promise.
+ *
+ * In strict mode, a "sync" function that returns a Promise and a "promise"
+ * function that does not return one are both rejected.
+ *
+ * @private
+ * @param {Function} fn
+ * @param {Array.<*>} args
+ * @param {string} [style] "sync" or "promise", if known.
+ * @param {boolean} strict
+ * @return {Promise.<*>}
+ */
+function callWithReturn(fn, args, style, strict) {
     return new Promise((resolve) => {
         var result;
 
         result = fn.apply(null, args);
+
+        if (strict && style === "sync" && isThenable(result)) {
+            throw misuseError(fn, "returned a Promise but was called as a synchronous function");
+        }
+
+        if (strict && style === "promise" && !isThenable(result)) {
+            throw misuseError(fn, "did not return a Promise");
+        }
+
         resolve(result);
     });
-};
+}
 
 
 /**
- * Chains multiple plugins into one
- *
- * @example
- * const plugin1 = require('metalsmith-markdown')();
- * const plugin2 = require('metalsmith-data-loader')();
- * const pluginKit = require('metalsmith-plugin-kit');
- *
- * const combined = pluginKit.chain(plugin1, plugin2);
- * metalsmith.use(combined);
+ * Determines the style of a function and calls it the right way.
  *
- * @param {Function} plugin... Plugins to combine
- * @return {Function} Combined function
+ * @private
+ * @param {Function} fn
+ * @param {Array.<*>} [args]
+ * @param {Object} options
+ * @param {boolean} [options.strict]
+ * @param {string} [options.style]
+ * @return {Promise.<*>}
  */
-exports.chain = (...args) => {
-    return (files, metalsmith, done) => {
-        let i;
+function invokeFunction(fn, args, options) {
+    var problem, style;
 
-        i = 0;
+    style = options.style;
 
-        const runNext = (e) => {
-            if (e || args.length <= i) {
-                done(e);
-            } else {
-                const plugin = args[i];
+    if (!style) {
+        problem = options.strict && arityProblem(fn, args || []);
 
-                i += 1;
-                plugin(files, metalsmith, runNext);
-            }
-        };
+        if (problem) {
+            return Promise.reject(misuseError(fn, problem));
+        }
+
+        if (args && fn.length > args.length) {
+            style = "callback";
+        }
+    }
+
+    if (style === "callback") {
+        return callWithCallback(fn, args || [], options.strict);
+    }
+
+    return callWithReturn(fn, args, style, options.strict);
+}
 
-        runNext();
-    };
-};
 
 /**
- * Lightweight object clone function, primarily designed for plain objects,
- * expecially targeted for options to middleware.
- *
- * Copies functions, regular expressions, Buffers, and other specialty
- * objects; does not close those items. Does not handle circular references.
- *
- * @example
- * a = {};
- * b = pluginKit.clone(a);
- * a.test = true;
- *
- * // This didn't update b because it's a clone.
- * console.log(JSON.stringify(b)); // {}
+ * Creates a copy of a value that is not a plain object, array, Map or Set,
+ * or returns null when the value is none of the specialty types.
  *
- * @param {*} original
- * @return {*} clone
+ * @private
+ * @param {Object} original
+ * @return {(Object|null)}
  */
-exports.clone = (original) => {
-    var i, keys, result;
+function cloneSpecialty(original) {
+    if (Buffer.isBuffer(original)) {
+        return Buffer.from(original);
+    }
 
-    if (!original || typeof original !== "object") {
-        return original;
+    if (original instanceof Date) {
+        return new Date(original.getTime());
     }
 
-    if (original instanceof RegExp) {
-        return original;
+    if (original instanceof ArrayBuffer) {
+        return original.slice(0);
     }
 
-    if (Array.isArray(original)) {
-        result = [];
-    } else {
-        result = {};
+    if (original instanceof DataView) {
+        return new DataView(original.buffer.slice(original.byteOffset, original.byteOffset + original.byteLength));
+    }
+
+    if (ArrayBuffer.isView(original)) {
+        return new original.constructor(original);
     }
 
-    keys = Object.keys(original);
+    return null;
+}
+
 
-    for (i = 0; i < keys.length; i += 1) {
-        result[keys[i]] = exports.clone(original[keys[i]]);
+/**
+ * Copies a Map or a Set. Values are cloned and Map keys are shared.
+ *
+ * @private
+ * @param {(Map|Set)} original
+ * @param {Map} seen
+ * @param {Function} cloneItem Clones a single value.
+ * @return {(Map|Set)}
+ */
+function cloneCollection(original, seen, cloneItem) {
+    var result;
+
+    if (original instanceof Map) {
+        result = new Map();
+        seen.set(original, result);
+        original.forEach((value, key) => {
+            result.set(key, cloneItem(value));
+        });
+    } else {
+        result = new Set();
+        seen.set(original, result);
+        original.forEach((value) => {
+            result.add(cloneItem(value));
+        });
     }
 
     return result;
-};
+}
 
 
 /**
- * Defaults options by performing a limited, shallow merge of two objects.
- * Returns a new object. Will not assign properties that are not defined in
- * the defaults.
- *
- * @example
- * result = pluginKit.defaultOptions({
- *     a: "default",
- *     b: {
- *         bDefault: "default"
- *     }
- * }, {
- *     b: {
- *         bOverride: "override"
- *     },
- *     c: "override but won't make it to the result"
- * });
- *
- * // result = {
- * //     a: "default"
- * //     b: {
- * //         bOverride: "override"
- * //     }
- * // }
+ * Creates the empty array or object that an original's properties are
+ * copied into. Class instances are handled according to `classInstances`,
+ * and "reference" returns the original itself.
  *
- * @param {Object} defaults
- * @param {Object} override
+ * @private
+ * @param {Object} original
+ * @param {string} classInstances
  * @return {Object}
  */
-exports.defaultOptions = (defaults, override) => {
-    var result;
+function emptyCopy(original, classInstances) {
+    var prototype;
 
-    result = {};
+    if (Array.isArray(original)) {
+        return [];
+    }
 
-    Object.keys(defaults).forEach((key) => {
-        result[key] = exports.clone(defaults[key]);
-    });
+    prototype = Object.getPrototypeOf(original);
 
-    if (override && typeof override === "object") {
-        Object.keys(override).forEach((key) => {
-            if (Object.prototype.hasOwnProperty.call(result, key)) {
-                result[key] = exports.clone(override[key]);
-            }
-        });
+    if (prototype === Object.prototype || !prototype || classInstances === "plain") {
+        return {};
     }
 
-    return result;
-};
+    if (classInstances === "reference") {
+        return original;
+    }
+
+    return Object.create(prototype);
+}
 
 
 /**
- * As a string, this is a single match pattern. It supports the following
- * features, which are taken from the Bash 4.3 specification. With each feature
- * listed, a couple sample examples are shown.
+ * Recursive portion of `clone`. Tracks objects that were already copied so
+ * circular references point at the copy.
  *
- * * Wildcards: `**`, `*.js`
- * * Negation: `!a/*.js`, `*!(b).js`
+ * @private
+ * @param {*} original
+ * @param {string} classInstances "plain", "prototype" or "reference".
+ * @param {Map} seen Originals mapped to their copies.
+ * @return {*}
+ */
+function cloneValue(original, classInstances, seen) {
+    var result;
+
+    if (!original || typeof original !== "object" || original instanceof RegExp) {
+        return original;
+    }
+
+    if (seen.has(original)) {
+        return seen.get(original);
+    }
+
+    result = cloneSpecialty(original);
+
+    if (result) {
+        seen.set(original, result);
+
+        return result;
+    }
+
+    if (original instanceof Map || original instanceof Set) {
+        return cloneCollection(original, seen, (value) => {
+            return cloneValue(value, classInstances, seen);
+        });
+    }
+
+    result = emptyCopy(original, classInstances);
+    seen.set(original, result);
+
+    if (result !== original) {
+        Object.keys(original).forEach((key) => {
+            result[key] = cloneValue(original[key], classInstances, seen);
+        });
+    }
+
+    return result;
+}
+
+
+/**
+ * Counts the number of single character insertions, deletions and
+ * substitutions needed to change one string into another.
+ *
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+function editDistance(a, b) {
+    var i, j, previous, row;
+
+    row = [];
+
+    for (j = 0; j <= b.length; j += 1) {
+        row.push(j);
+    }
+
+    for (i = 1; i <= a.length; i += 1) {
+        previous = row.slice();
+        row[0] = i;
+
+        for (j = 1; j <= b.length; j += 1) {
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + Number(a[i - 1] !== b[j - 1]));
+        }
+    }
+
+    return row[b.length];
+}
+
+
+/**
+ * Describes an unknown option and suggests the closest known option when
+ * one is similar enough to be a likely typo.
+ *
+ * @private
+ * @param {string} key
+ * @param {Array.<string>} known
+ * @param {string} prefix Prefix for nested options.
+ * @return {string}
+ */
+function unknownOptionProblem(key, known, prefix) {
+    var best, bestDistance, problem;
+
+    bestDistance = Math.max(1, Math.floor(key.length / 3)) + 1;
+    known.forEach((candidate) => {
+        var distance;
+
+        distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    problem = `Unknown option "${prefix}${key}"`;
+
+    if (best) {
+        problem += `, did you mean "${prefix}${best}"?`;
+    }
+
+    return problem;
+}
+
+
+/**
+ * Determines the schema type name for a value.
+ *
+ * @private
+ * @param {*} value
+ * @return {string}
+ */
+function schemaType(value) {
+    if (value === null) {
+        return "null";
+    }
+
+    if (Array.isArray(value)) {
+        return "array";
+    }
+
+    if (Buffer.isBuffer(value)) {
+        return "buffer";
+    }
+
+    if (value instanceof Date) {
+        return "date";
+    }
+
+    if (value instanceof RegExp) {
+        return "regexp";
+    }
+
+    return typeof value;
+}
+
+
+/**
+ * Determines if a value is a plain object, such as one made with `{}`.
+ *
+ * @private
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+    var prototype;
+
+    if (!value || typeof value !== "object") {
+        return false;
+    }
+
+    prototype = Object.getPrototypeOf(value);
+
+    return prototype === Object.prototype || prototype === null;
+}
+
+
+/**
+ * Checks the type of an option value. Entries with `properties` only
+ * accept plain objects.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~optionSchemaEntry} entry
+ * @param {*} value
+ * @param {string} name
+ * @return {(string|null)} The problem, or `null` when the type is allowed.
+ */
+function optionTypeProblem(entry, value, name) {
+    var actual, types;
+
+    types = [].concat(entry.type || "any");
+    actual = schemaType(value);
+
+    if (entry.properties && !isPlainObject(value)) {
+        return `Option "${name}" must be object, not ${actual}`;
+    }
+
+    if (types.indexOf("any") === -1 && types.indexOf(actual) === -1) {
+        return `Option "${name}" must be ${types.join(" or ")}, not ${actual}`;
+    }
+
+    return null;
+}
+
+
+/**
+ * Checks a single value against its schema entry and adds any problems to
+ * the list.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~optionSchemaEntry} entry
+ * @param {*} value
+ * @param {string} name Full name of the option.
+ * @param {Array.<string>} problems
+ */
+function checkOptionValue(entry, value, name, problems) {
+    var problem;
+
+    problem = optionTypeProblem(entry, value, name);
+
+    if (problem) {
+        problems.push(problem);
+
+        return;
+    }
+
+    if (entry.enum && entry.enum.indexOf(value) === -1) {
+        problems.push(`Option "${name}" must be one of ${entry.enum.map((item) => {
+            return JSON.stringify(item);
+        }).join(", ")}`);
+    }
+
+    if (typeof entry.min === "number" && value < entry.min) {
+        problems.push(`Option "${name}" must be at least ${entry.min}`);
+    }
+
+    if (typeof entry.max === "number" && value > entry.max) {
+        problems.push(`Option "${name}" must be at most ${entry.max}`);
+    }
+}
+
+
+/**
+ * Recursive portion of `validateOptions`. Builds the resulting options for
+ * one level of the schema and adds problems to the list.
+ *
+ * @private
+ * @param {Object.<string,module:metalsmith-plugin-kit~optionSchemaEntry>} schema
+ * @param {*} override
+ * @param {string} prefix Prefix for nested options, such as "parent.".
+ * @param {Array.<string>} problems
+ * @return {Object}
+ */
+function applyOptionSchema(schema, override, prefix, problems) {
+    var known, result;
+
+    known = Object.keys(schema);
+    result = {};
+
+    if (schemaType(override) !== "object") {
+        override = {};
+    }
+
+    Object.keys(override).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+            problems.push(unknownOptionProblem(key, known, prefix));
+        }
+    });
+    known.forEach((key) => {
+        var entry, value;
+
+        entry = schema[key];
+        value = override[key];
+
+        if (typeof value === "undefined") {
+            if (entry.required) {
+                problems.push(`Option "${prefix}${key}" is required`);
+
+                return;
+            }
+
+            value = entry.default;
+        } else {
+            checkOptionValue(entry, value, prefix + key, problems);
+        }
+
+        if (entry.properties && (typeof value === "undefined" || isPlainObject(value))) {
+            value = applyOptionSchema(entry.properties, value, `${prefix}${key}.`, problems);
+        }
+
+        if (typeof value !== "undefined") {
+            result[key] = exports.clone(value);
+        }
+    });
+
+    return result;
+}
+
+
+/**
+ * Merges a single option for `defaultOptions`. Without the `deep` flag,
+ * this clones the override.
+ *
+ * @private
+ * @param {*} defaultValue
+ * @param {*} overrideValue
+ * @param {Object} mergeOptions
+ * @return {*}
+ */
+function mergeOptionValue(defaultValue, overrideValue, mergeOptions) {
+    if (mergeOptions.deep) {
+        if (isPlainObject(defaultValue) && isPlainObject(overrideValue)) {
+            return exports.defaultOptions(defaultValue, overrideValue, mergeOptions);
+        }
+
+        if (mergeOptions.arrays === "concat" && Array.isArray(defaultValue) && Array.isArray(overrideValue)) {
+            return exports.clone(defaultValue.concat(overrideValue));
+        }
+    }
+
+    return exports.clone(overrideValue);
+}
+
+
+/**
+ * Compares a metadata value to an expected value. When the metadata is an
+ * array and the expected value is not, the array must contain the value.
+ *
+ * @private
+ * @param {*} actual
+ * @param {*} expected
+ * @return {boolean}
+ */
+function metadataEquals(actual, expected) {
+    if (Array.isArray(actual) && !Array.isArray(expected)) {
+        return actual.indexOf(expected) !== -1;
+    }
+
+    return actual === expected;
+}
+
+
+/**
+ * Builds the test for a single query operator. Throws when the operator is
+ * not known, so typos are found when the matcher is created.
+ *
+ * @private
+ * @param {string} operator
+ * @param {*} argument
+ * @param {Function} buildCondition Builds a test for nested conditions.
+ * @return {Function} Accepts the metadata value.
+ */
+function metadataOperator(operator, argument, buildCondition) {
+    var condition, list;
+
+    if (operator === "$exists") {
+        return (actual) => {
+            var exists;
+
+            exists = typeof actual !== "undefined";
+
+            return exists === Boolean(argument);
+        };
+    }
+
+    if (operator === "$in") {
+        list = [].concat(argument);
+
+        return (actual) => {
+            return [].concat(actual).some((item) => {
+                return list.indexOf(item) !== -1;
+            });
+        };
+    }
+
+    if (operator === "$not") {
+        condition = buildCondition(argument);
+
+        return (actual) => {
+            return !condition(actual);
+        };
+    }
+
+    throw new Error(`Unknown metadata query operator: ${operator}`);
+}
+
+
+/**
+ * Builds the test for one property of a metadata query. Plain objects whose
+ * keys all start with "$" are operators, everything else is compared with
+ * `metadataEquals`.
+ *
+ * @private
+ * @param {*} expected
+ * @return {Function} Accepts the metadata value.
+ */
+function metadataCondition(expected) {
+    var keys, tests;
+
+    if (isPlainObject(expected)) {
+        keys = Object.keys(expected);
+    }
+
+    if (!keys || !keys.length || keys.some((key) => {
+        return key.charAt(0) !== "$";
+    })) {
+        return (actual) => {
+            return metadataEquals(actual, expected);
+        };
+    }
+
+    tests = keys.map((key) => {
+        return metadataOperator(key, expected[key], metadataCondition);
+    });
+
+    return (actual) => {
+        return tests.every((test) => {
+            return test(actual);
+        });
+    };
+}
+
+
+/**
+ * Builds a function that tests a file's metadata. Every property in the
+ * query must match the property of the same name on the file object.
+ *
+ * @private
+ * @param {Object} query
+ * @return {Function} Accepts a filename and a file object.
+ */
+function metadataMatcher(query) {
+    var tests;
+
+    tests = Object.keys(query).map((key) => {
+        return {
+            key,
+            test: metadataCondition(query[key])
+        };
+    });
+
+    return (filename, file) => {
+        if (!file || typeof file !== "object") {
+            return false;
+        }
+
+        return tests.every((item) => {
+            return item.test(file[item.key]);
+        });
+    };
+}
+
+
+/**
+ * Converts a string that looks like a regular expression literal, such as
+ * "/\\.md$/i", into a RegExp.
+ *
+ * @private
+ * @param {string} value
+ * @return {(RegExp|null)} Null when the string is not a RegExp literal.
+ */
+function parseRegExp(value) {
+    var parts;
+
+    parts = value.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (!parts) {
+        return null;
+    }
+
+    try {
+        return new RegExp(parts[1], parts[2]);
+    } catch (err) {
+        return null;
+    }
+}
+
+
+/**
+ * Coerces a string for `coerceOptions` when it can be converted to the
+ * requested type.
+ *
+ * @private
+ * @param {string} value
+ * @param {string} [type]
+ * @return {*}
+ */
+function coerceString(value, type) {
+    if (type === "regexp") {
+        return parseRegExp(value) || value;
+    }
+
+    if (type === "number" && value.trim() && !isNaN(Number(value))) {
+        return Number(value);
+    }
+
+    if (type === "boolean" && (value === "true" || value === "false")) {
+        return value === "true";
+    }
+
+    return value;
+}
+
+
+/**
+ * Coerces a single value for `coerceOptions`.
+ *
+ * @private
+ * @param {*} value
+ * @param {(string|Object)} [type]
+ * @return {*}
+ */
+function coerceOptionValue(value, type) {
+    if (type && typeof type === "object") {
+        return exports.coerceOptions(value, type);
+    }
+
+    if (type === "matchList") {
+        return exports.coerceMatchList(value);
+    }
+
+    if (typeof value === "string") {
+        return coerceString(value, type);
+    }
+
+    return value;
+}
+
+
+/**
+ * Combines tests so the result is true when every test passes ("every") or
+ * when at least one passes ("some"). Asynchronous tests are run one at a
+ * time and stop as soon as the result is known, the same as the
+ * synchronous ones.
+ *
+ * @private
+ * @param {Array.<Function>} tests
+ * @param {string} method Either "every" or "some".
+ * @param {boolean} isAsync
+ * @return {Function} Accepts a filename and an optional file object.
+ */
+function combineTests(tests, method, isAsync) {
+    var decided;
+
+    if (!isAsync) {
+        return (filename, file) => {
+            return tests[method]((test) => {
+                return test(filename, file);
+            });
+        };
+    }
+
+    decided = method === "some";
+
+    return (filename, file) => {
+        return tests.reduce((promise, test) => {
+            return promise.then((result) => {
+                if (result === decided) {
+                    return result;
+                }
+
+                return Promise.resolve(test(filename, file)).then(Boolean);
+            });
+        }, Promise.resolve(!decided));
+    };
+}
+
+
+/**
+ * Builds the test for a combinator match item, or returns null when the
+ * item is not a combinator.
+ *
+ * @private
+ * @param {Object} item
+ * @param {Function} compileList Compiles a nested `matchList`.
+ * @param {boolean} isAsync
+ * @return {(Function|null)}
+ */
+function compileCombinator(item, compileList, isAsync) {
+    var test;
+
+    if (Object.prototype.hasOwnProperty.call(item, "all")) {
+        return combineTests([].concat(item.all).map(compileList), "every", isAsync);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(item, "any")) {
+        return compileList(item.any);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(item, "not")) {
+        test = compileList(item.not);
+
+        if (isAsync) {
+            return (filename, file) => {
+                return Promise.resolve(test(filename, file)).then((result) => {
+                    return !result;
+                });
+            };
+        }
+
+        return (filename, file) => {
+            return !test(filename, file);
+        };
+    }
+
+    return null;
+}
+
+
+/**
+ * Builds the test for a function `matchItem`. When asynchronous, it is
+ * called with `callFunction`, so it may return a Promise or use a callback.
+ *
+ * @private
+ * @param {Function} fn
+ * @param {boolean} [isAsync=false]
+ * @param {Object} [callOptions] Options for `callFunction`, such as `timeout`.
+ * @return {Function} Accepts a filename and an optional file object.
+ */
+function compileFunctionItem(fn, isAsync, callOptions) {
+    if (!isAsync) {
+        return fn;
+    }
+
+    return (filename, file) => {
+        return exports.callFunction(fn, [
+            filename,
+            file
+        ], callOptions);
+    };
+}
+
+
+/**
+ * Builds the test for a single `matchItem`. When asynchronous, functions
+ * are called with `callFunction` and the test may return a Promise.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~matchItem} item
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @param {Function} compileList Compiles a nested `matchList`.
+ * @param {boolean} [isAsync=false]
+ * @param {Object} [callOptions] Options for `callFunction`, such as `timeout`.
+ * @return {Function} Accepts a filename and an optional file object.
+ */
+function compileMatchItem(item, options, compileList, isAsync, callOptions) {
+    var isMatch, test;
+
+    if (typeof item === "string") {
+        isMatch = micromatch.matcher(item, options);
+
+        return (filename) => {
+            return isMatch(filename);
+        };
+    }
+
+    if (typeof item === "function") {
+        return compileFunctionItem(item, isAsync, callOptions);
+    }
+
+    if (item instanceof RegExp) {
+        return (filename) => {
+            // Global and sticky expressions continue from lastIndex.
+            item.lastIndex = 0;
+
+            return item.test(filename);
+        };
+    }
+
+    if (item && typeof item.test === "function") {
+        return item.test.bind(item);
+    }
+
+    if (item && item.metadata) {
+        return metadataMatcher(item.metadata);
+    }
+
+    test = item && compileCombinator(item, compileList, isAsync);
+
+    if (!test) {
+        throw new Error(`Unsupported match item: ${String(item)}`);
+    }
+
+    return test;
+}
+
+
+/**
+ * Builds the test for a `matchList`. A file matches when any item matches.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @param {boolean} [isAsync=false]
+ * @param {Object} [callOptions] Options for `callFunction`, such as `timeout`.
+ * @return {Function} Accepts a filename and an optional file object.
+ */
+function compileMatchList(match, options, isAsync, callOptions) {
+    var compileList, tests;
+
+    compileList = (list) => {
+        return compileMatchList(list, options, isAsync, callOptions);
+    };
+    tests = [].concat(match).map((item) => {
+        return compileMatchItem(item, options, compileList, isAsync, callOptions);
+    });
+
+    if (!tests.length) {
+        return () => {
+            return false;
+        };
+    }
+
+    if (tests.length === 1) {
+        return tests[0];
+    }
+
+    return combineTests(tests, "some", isAsync);
+}
+
+
+/**
+ * Describes how a single `matchItem` matched a filename. Strings provide
+ * the glob captures and regular expressions provide their groups.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~matchItem} item
+ * @param {number} index
+ * @param {string} filename
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @return {module:metalsmith-plugin-kit~matchDetails}
+ */
+function describeMatch(item, index, filename, options) {
+    var details, result;
+
+    details = {
+        captures: [],
+        groups: {},
+        index,
+        pattern: item
+    };
+
+    if (typeof item === "string") {
+        details.captures = micromatch.capture(item, filename, options) || [];
+    } else if (item instanceof RegExp) {
+        // A copy without the global and sticky flags ignores lastIndex.
+        result = new RegExp(item.source, item.flags.replace(/[gy]/g, "")).exec(filename);
+
+        if (result) {
+            details.captures = result.slice(1);
+            details.groups = Object.assign({}, result.groups);
+        }
+    }
+
+    return details;
+}
+
+
+/**
+ * Builds the function that prepares filenames before they are matched.
+ * Backslashes become forward slashes when `normalizePaths` is enabled,
+ * which is the default on Windows.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @return {Function} Accepts a filename and returns the one to match.
+ */
+function matchFilename(options) {
+    var normalize;
+
+    normalize = path.sep === "\\";
+
+    if (options && typeof options.normalizePaths === "boolean") {
+        normalize = options.normalizePaths;
+    }
+
+    if (!normalize) {
+        return (filename) => {
+            return filename;
+        };
+    }
+
+    return (filename) => {
+        return filename.replace(/\\/g, "/");
+    };
+}
+
+
+/**
+ * Builds the function used by `filenameMatchDetails`. The items are tried
+ * in order and the first one that matches is described. When asynchronous,
+ * the function returns a Promise.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @param {boolean} isAsync
+ * @param {Object} [callOptions] Options for `callFunction`, such as `timeout`.
+ * @return {Function} Accepts a filename and an optional file object.
+ */
+function compileMatchDetails(match, options, isAsync, callOptions) {
+    var compileList, items, prepare, tests;
+
+    if (options && options.coerce) {
+        match = exports.coerceMatchList(match);
+    }
+
+    compileList = (list) => {
+        return compileMatchList(list, options, isAsync, callOptions);
+    };
+    items = [].concat(match);
+    prepare = matchFilename(options);
+    tests = items.map((item) => {
+        return compileMatchItem(item, options, compileList, isAsync, callOptions);
+    });
+
+    if (isAsync) {
+        return (filename, file) => {
+            filename = prepare(filename);
+
+            return tests.reduce((promise, test, index) => {
+                return promise.then((details) => {
+                    if (details) {
+                        return details;
+                    }
+
+                    return Promise.resolve(test(filename, file)).then((result) => {
+                        if (!result) {
+                            return null;
+                        }
+
+                        return describeMatch(items[index], index, filename, options);
+                    });
+                });
+            }, Promise.resolve(null));
+        };
+    }
+
+    return (filename, file) => {
+        var i;
+
+        filename = prepare(filename);
+
+        for (i = 0; i < tests.length; i += 1) {
+            if (tests[i](filename, file)) {
+                return describeMatch(items[i], i, filename, options);
+            }
+        }
+
+        return null;
+    };
+}
+
+
+/**
+ * Compares two values for sorting. Values that are `null` or `undefined`
+ * are placed after everything else.
+ *
+ * @private
+ * @param {*} a
+ * @param {*} b
+ * @return {number}
+ */
+function compareValues(a, b) {
+    var aMissing, bMissing;
+
+    aMissing = a === null || typeof a === "undefined";
+    bMissing = b === null || typeof b === "undefined";
+
+    if (aMissing || bMissing) {
+        if (aMissing === bMissing) {
+            return 0;
+        }
+
+        if (aMissing) {
+            return 1;
+        }
+
+        return -1;
+    }
+
+    if (a < b) {
+        return -1;
+    }
+
+    if (a > b) {
+        return 1;
+    }
+
+    return 0;
+}
+
+
+/**
+ * Splits items into arrays of a given size. When the size is not a positive
+ * number, everything goes into one array. No arrays are returned when there
+ * are no items.
+ *
+ * @private
+ * @param {Array.<*>} items
+ * @param {number} size
+ * @return {Array.<Array.<*>>}
+ */
+function batchItems(items, size) {
+    var batches, i;
+
+    if (!items.length) {
+        return [];
+    }
+
+    if (!(size > 0)) {
+        return [
+            items
+        ];
+    }
+
+    batches = [];
+
+    for (i = 0; i < items.length; i += size) {
+        batches.push(items.slice(i, i + size));
+    }
+
+    return batches;
+}
+
+
+/**
+ * Calls an iterator for every item in a list, allowing no more than `limit`
+ * of the returned Promises to be pending at the same time. When the limit is
+ * not a positive number, everything is started at once. After the first
+ * rejection, no new items are started.
+ *
+ * @private
+ * @param {Array.<*>} items
+ * @param {number} limit
+ * @param {Function} iterator Passed a single item, may return a Promise.
+ * @return {Promise.<Array.<*>>} Results in the same order as the items.
+ */
+function mapLimit(items, limit, iterator) {
+    var failed, i, index, results, worker, workers;
+
+    if (!(limit > 0) || limit >= items.length) {
+        return Promise.all(items.map((item) => {
+            return iterator(item);
+        }));
+    }
+
+    failed = false;
+    index = 0;
+    results = [];
+    worker = () => {
+        var current;
+
+        if (failed || index >= items.length) {
+            return Promise.resolve();
+        }
+
+        current = index;
+        index += 1;
+
+        return Promise.resolve().then(() => {
+            return iterator(items[current]);
+        }).then((result) => {
+            results[current] = result;
+
+            return worker();
+        }, (err) => {
+            failed = true;
+            throw err;
+        });
+    };
+    workers = [];
+
+    for (i = 0; i < limit; i += 1) {
+        workers.push(worker());
+    }
+
+    return Promise.all(workers).then(() => {
+        return results;
+    });
+}
+
+
+/**
+ * Returns a Promise that follows the original Promise but is rejected early
+ * when the timeout elapses or when the signal is aborted. Timers and
+ * listeners are removed once the Promise settles.
+ *
+ * @private
+ * @param {Promise.<*>} promise
+ * @param {Function} fn The function that was called, used for messages.
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {number} [options.timeout]
+ * @return {Promise.<*>}
+ */
+function settleWithin(promise, fn, options) {
+    return new Promise((resolve, reject) => {
+        var cleanup, onAbort, timer;
+
+        cleanup = () => {
+            clearTimeout(timer);
+
+            if (options.signal) {
+                options.signal.removeEventListener("abort", onAbort);
+            }
+        };
+        onAbort = () => {
+            cleanup();
+            reject(abortError(fn, options.signal));
+        };
+
+        if (options.timeout > 0) {
+            timer = setTimeout(() => {
+                var err;
+
+                cleanup();
+                err = new Error(`Call to ${fn.name || "anonymous function"} did not finish within ${options.timeout} ms`);
+                err.name = "TimeoutError";
+                err.code = "ETIMEDOUT";
+                reject(err);
+            }, options.timeout);
+        }
+
+        if (options.signal) {
+            options.signal.addEventListener("abort", onAbort);
+        }
+
+        promise.then((result) => {
+            cleanup();
+            resolve(result);
+        }, (err) => {
+            cleanup();
+            reject(err);
+        });
+    });
+}
+
+
+/**
+ * Sorts a list of filenames. The sort can be a comparator, which is passed
+ * two `[filename, file]` pairs, or a metadata property name. Files that
+ * compare as equal stay in their original order.
+ *
+ * @private
+ * @param {Array.<string>} filenames
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {(Function|string)} [sort]
+ * @return {Array.<string>}
+ */
+function sortFilenames(filenames, files, sort) {
+    var comparator, entries;
+
+    if (!sort) {
+        return filenames;
+    }
+
+    if (typeof sort === "function") {
+        comparator = sort;
+    } else {
+        comparator = (a, b) => {
+            return compareValues(a[1][sort], b[1][sort]);
+        };
+    }
+
+    entries = filenames.map((filename, index) => {
+        return {
+            index,
+            pair: [
+                filename,
+                files[filename]
+            ]
+        };
+    });
+    entries.sort((a, b) => {
+        return comparator(a.pair, b.pair) || a.index - b.index;
+    });
+
+    return entries.map((entry) => {
+        return entry.pair[0];
+    });
+}
+
+
+/**
+ * Creates an error about a file in the collection. The code matches the
+ * ones Node uses for the file system, such as "ENOENT" and "EEXIST".
+ *
+ * @private
+ * @param {string} message
+ * @param {string} code
+ * @param {string} filename
+ * @return {Error}
+ */
+function fileError(message, code, filename) {
+    var err;
+
+    err = new Error(`${message}: ${filename}`);
+    err.code = code;
+    err.filename = filename;
+
+    return err;
+}
+
+
+/**
+ * Finds a filename that is not in use by adding a numeric suffix before
+ * the extension, such as "post-1.md" or "post-2.md".
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {string} filename
+ * @return {string}
+ */
+function suffixFilename(files, filename) {
+    var base, candidate, extension, suffix;
+
+    extension = path.extname(filename);
+    base = filename.slice(0, filename.length - extension.length);
+    suffix = 1;
+    candidate = `${base}-${suffix}${extension}`;
+
+    while (files[candidate]) {
+        suffix += 1;
+        candidate = `${base}-${suffix}${extension}`;
+    }
+
+    return candidate;
+}
+
+
+/**
+ * Decides which filename to use when writing to a filename that may
+ * already be in use.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {string} filename
+ * @param {string} ifExists One of "error", "overwrite", "skip" or "suffix".
+ * @return {(string|null)} The filename to use, or `null` to skip.
+ * @throws {Error} when the filename is in use and `ifExists` is "error".
+ */
+function resolveCollision(files, filename, ifExists) {
+    if (!files[filename] || ifExists === "overwrite") {
+        return filename;
+    }
+
+    if (ifExists === "skip") {
+        return null;
+    }
+
+    if (ifExists === "suffix") {
+        return suffixFilename(files, filename);
+    }
+
+    throw fileError("File already exists", "EEXIST", filename);
+}
+
+
+/**
+ * Builds an object that looks like the `fs.Stats` that Metalsmith creates
+ * for files it reads from disk.
+ *
+ * @private
+ * @param {Buffer} contents
+ * @param {string} mode Octal permissions, such as "0644".
+ * @param {Object} [overrides] Properties to use instead of the defaults.
+ * @return {Object}
+ */
+function createStats(contents, mode, overrides) {
+    var now;
+
+    now = new Date();
+
+    return Object.assign({
+        atime: now,
+        birthtime: now,
+        ctime: now,
+        isBlockDevice: () => {
+            return false;
+        },
+        isCharacterDevice: () => {
+            return false;
+        },
+        isDirectory: () => {
+            return false;
+        },
+        isFIFO: () => {
+            return false;
+        },
+        isFile: () => {
+            return true;
+        },
+        isSocket: () => {
+            return false;
+        },
+        isSymbolicLink: () => {
+            return false;
+        },
+        mode: parseInt(mode, 8),
+        mtime: now,
+        size: contents.length
+    }, overrides);
+}
+
+
+/**
+ * Built-in serializer for JSON.
+ *
+ * @private
+ * @param {*} value
+ * @param {Object} options
+ * @param {(number|string)} [options.indent=0] Passed to `JSON.stringify()`, so zero writes compact JSON.
+ * @return {string}
+ */
+function serializeJson(value, options) {
+    return JSON.stringify(value, null, options.indent);
+}
+
+
+/**
+ * Built-in serializer for newline-delimited JSON. Each item in an array is
+ * written on its own line. Other values are written as a single line.
+ *
+ * @private
+ * @param {*} value
+ * @return {string}
+ */
+function serializeNdjson(value) {
+    return [].concat(value).map((item) => {
+        return `${JSON.stringify(item)}\n`;
+    }).join("");
+}
+
+
+/**
+ * Converts a single value into a CSV field, adding quotes when they are
+ * needed.
+ *
+ * @private
+ * @param {*} value
+ * @param {string} delimiter
+ * @return {string}
+ */
+function csvField(value, delimiter) {
+    if (value === null || typeof value === "undefined") {
+        return "";
+    }
+
+    if (value instanceof Date) {
+        value = value.toISOString();
+    } else if (typeof value === "object") {
+        value = JSON.stringify(value);
+    } else {
+        value = String(value);
+    }
+
+    if (value.indexOf(delimiter) >= 0 || /["\r\n]|^\s|\s$/.test(value)) {
+        value = `"${value.replace(/"/g, "\"\"")}"`;
+    }
+
+    return value;
+}
+
+
+/**
+ * Built-in serializer for CSV. The value is an array of rows. Rows can be
+ * arrays of fields or objects; object keys become the columns.
+ *
+ * @private
+ * @param {Array.<(Array|Object)>} value
+ * @param {Object} options
+ * @param {Array.<string>} [options.columns] Columns for object rows. Defaults to every key, in the order they are first seen.
+ * @param {string} [options.delimiter=,]
+ * @param {boolean} [options.header=true] Writes the columns as the first line when rows are objects.
+ * @return {string}
+ */
+function serializeCsv(value, options) {
+    var columns, delimiter, lines;
+
+    value = [].concat(value);
+    delimiter = options.delimiter || ",";
+    columns = options.columns;
+
+    if (!columns) {
+        columns = [];
+        value.forEach((row) => {
+            if (!Array.isArray(row)) {
+                Object.keys(row).forEach((key) => {
+                    if (columns.indexOf(key) < 0) {
+                        columns.push(key);
+                    }
+                });
+            }
+        });
+    }
+
+    lines = value.map((row) => {
+        if (!Array.isArray(row)) {
+            row = columns.map((key) => {
+                return row[key];
+            });
+        }
+
+        return row;
+    });
+
+    if (options.header !== false && columns.length) {
+        lines.unshift(columns);
+    }
+
+    return lines.map((row) => {
+        return `${row.map((field) => {
+            return csvField(field, delimiter);
+        }).join(delimiter)}\r\n`;
+    }).join("");
+}
+
+
+/**
+ * Converts contents for `addFile` into a Buffer. Values that are not
+ * strings or Buffers are passed to the serializer for the format.
+ *
+ * @private
+ * @param {string} filename
+ * @param {*} contents
+ * @param {Object} options The options passed to `addFile`.
+ * @return {Buffer}
+ * @throws {Error} when a format is given and no serializer is registered for it.
+ */
+function serializeContents(filename, contents, options) {
+    var format;
+
+    if (Buffer.isBuffer(contents)) {
+        return contents;
+    }
+
+    if (typeof contents !== "string") {
+        format = options.format || serializerFormats[path.extname(filename).slice(1).toLowerCase()];
+
+        if (format && !serializers[format]) {
+            throw new Error(`No serializer is registered for the format: ${format}`);
+        }
+
+        if (format) {
+            contents = serializers[format](contents, options.formatOptions);
+        } else {
+            contents = JSON.stringify(contents);
+        }
+    }
+
+    if (Buffer.isBuffer(contents)) {
+        return contents;
+    }
+
+    return Buffer.from(contents, options.encoding);
+}
+
+
+/**
+ * Parses the source of a front-matter block.
+ *
+ * @private
+ * @param {string} format Either "json", "yaml" or "yml".
+ * @param {string} source
+ * @return {Object}
+ * @throws {Error} when the format is not supported, the source is invalid or it is not an object.
+ */
+function parseFrontMatterData(format, source) {
+    var data;
+
+    if (format === "json") {
+        data = JSON.parse(source || "{}");
+    } else if (format === "yaml" || format === "yml") {
+        data = jsYaml.load(source || "");
+    } else {
+        throw new Error(`Unsupported front-matter format: ${format}`);
+    }
+
+    if (data === null || typeof data === "undefined") {
+        return {};
+    }
+
+    if (!isPlainObject(data)) {
+        throw new Error(`Front-matter must be an object, not ${schemaType(data)}`);
+    }
+
+    return data;
+}
+
+
+/**
+ * Replaces forward slashes and backslashes in a filename so every key in
+ * the collection uses the same separator.
+ *
+ * @private
+ * @param {string} filename
+ * @param {(string|null)} separator When falsy, the filename is unchanged.
+ * @return {string}
+ */
+function normalizeSeparators(filename, separator) {
+    if (!separator) {
+        return filename;
+    }
+
+    return filename.replace(/[\\/]/g, separator);
+}
+
+
+/**
+ * Fills in a destination template for `moveFiles`. `$&` is the original
+ * filename, `$1` through `$9` are the captures and `$<name>` is a named
+ * group. Captures and groups that did not take part in the match become
+ * empty strings.
+ *
+ * @private
+ * @param {string} template
+ * @param {string} filename
+ * @param {module:metalsmith-plugin-kit~matchDetails} details
+ * @return {string}
+ * @throws {Error} when the template refers to a capture or group that the pattern does not have.
+ */
+function expandDestination(template, filename, details) {
+    return template.replace(/\$(?:(&)|(\d)|<([^>]+)>)/g, (reference, all, position, name) => {
+        var exists, value;
+
+        if (all) {
+            exists = true;
+            value = filename;
+        } else if (position) {
+            exists = position > 0 && position <= details.captures.length;
+            value = details.captures[position - 1];
+        } else {
+            exists = Object.prototype.hasOwnProperty.call(details.groups, name);
+            value = details.groups[name];
+        }
+
+        if (!exists) {
+            throw new Error(`Destination template "${template}" refers to ${reference}, which the pattern for ${filename} does not capture`);
+        }
+
+        return value || "";
+    });
+}
+
+
+/**
+ * Makes the collection hold exactly the files in `updated`. The object
+ * itself is kept because Metalsmith and other plugins refer to it.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} updated
+ */
+function replaceFiles(files, updated) {
+    Object.keys(files).forEach((name) => {
+        if (!Object.prototype.hasOwnProperty.call(updated, name)) {
+            delete files[name];
+        }
+    });
+    Object.assign(files, updated);
+}
+
+
+/**
+ * Applies the changes that `each` callbacks returned. Every result is
+ * resolved against the collection as it was before any change, so
+ * renames can swap or shift filenames without being chained through each
+ * other. Nothing is changed when a collision raises an error. Results that
+ * are not plain objects, such as `undefined`, are ignored.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {Array.<Object>} results Objects with the `filename` that `each` was called for, the `file` it was called with and the `changes` it returned, in the order `each` saw the files.
+ * @param {string} ifExists Collision policy, the same as `addFile`.
+ * @throws {Error} when a new filename is in use and `ifExists` is "error".
+ */
+function applyFileChanges(files, results, ifExists) {
+    var moves, removed, renames, updated;
+
+    results = results.filter((result) => {
+        return isPlainObject(result.changes);
+    });
+    removed = {};
+    results.forEach((result) => {
+        [].concat(result.changes.remove || []).forEach((name) => {
+            removed[name] = true;
+        });
+    });
+    renames = results.filter((result) => {
+        return result.changes.rename && !removed[result.filename] && files[result.filename] === result.file;
+    });
+    updated = Object.assign({}, files);
+    Object.keys(removed).concat(renames.map((result) => {
+        return result.filename;
+    })).forEach((name) => {
+        delete updated[name];
+    });
+    moves = [];
+    results.forEach((result) => {
+        var name;
+
+        if (renames.indexOf(result) >= 0) {
+            name = resolveCollision(updated, normalizeSeparators(result.changes.rename, path.sep), ifExists);
+
+            if (name === null) {
+                name = resolveCollision(updated, result.filename, "error");
+            }
+
+            updated[name] = result.file;
+            moves.push(result);
+        }
+
+        Object.keys(result.changes.add || {}).forEach((addName) => {
+            exports.addFile(updated, addName, result.changes.add[addName], {
+                ifExists
+            });
+        });
+    });
+    moves.forEach((result) => {
+        if (typeof result.file.originalPath !== "string" && updated[result.filename] !== result.file) {
+            result.file.originalPath = result.filename;
+        }
+    });
+    replaceFiles(files, updated);
+}
+
+
+/**
+ * Moves files to the filenames that `moveFiles` planned. Collisions are
+ * resolved against the collection without the files that are moving, so
+ * one file can take a name that another is leaving. Nothing is moved when
+ * a collision raises an error.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {Array.<Object>} moves Objects with the current `filename`, the `file` and the `newFilename`.
+ * @param {string} ifExists Collision policy, the same as `renameFile`.
+ * @return {Object.<string,string>} The original filenames of the files that moved and their new filenames.
+ * @throws {Error} when a new filename is in use and `ifExists` is "error".
+ */
+function applyMoves(files, moves, ifExists) {
+    var moved, updated;
+
+    moved = {};
+    updated = Object.assign({}, files);
+    moves.forEach((move) => {
+        delete updated[move.filename];
+    });
+    moves.forEach((move) => {
+        var name;
+
+        name = move.filename;
+
+        if (move.newFilename !== move.filename) {
+            name = resolveCollision(updated, move.newFilename, ifExists);
+        }
+
+        if (name === null) {
+            name = resolveCollision(updated, move.filename, "error");
+        } else {
+            moved[move.filename] = name;
+        }
+
+        updated[name] = move.file;
+    });
+    Object.keys(moved).forEach((filename) => {
+        if (typeof files[filename].originalPath !== "string" && moved[filename] !== filename) {
+            files[filename].originalPath = filename;
+        }
+    });
+    replaceFiles(files, updated);
+
+    return moved;
+}
+
+
+/**
+ * Determines if a file can be processed in text mode. Files with a NUL
+ * byte near the start of their contents are treated as binary, which is
+ * the same check that Git uses.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~metalsmithFile} file
+ * @param {module:metalsmith-plugin-kit~textOptions} textOptions
+ * @return {boolean}
+ */
+function isTextFile(file, textOptions) {
+    if (!file || !Buffer.isBuffer(file.contents)) {
+        return false;
+    }
+
+    return textOptions.binary === "process" || file.contents.subarray(0, 8000).indexOf(0) < 0;
+}
+
+
+/**
+ * Wraps an `each` callback for text mode. The file's contents are decoded
+ * and passed as the second argument. When the callback returns a string,
+ * it is encoded and becomes the new contents. Other results are passed
+ * along so they can be applied as file changes.
+ *
+ * @private
+ * @param {module:metalsmith-plugin-kit~eachTextCallback} each
+ * @param {module:metalsmith-plugin-kit~textOptions} textOptions
+ * @return {Function}
+ */
+function textEach(each, textOptions) {
+    return (filename, file, ...args) => {
+        var bom, text;
+
+        bom = "";
+        text = file.contents.toString(textOptions.encoding);
+
+        if (textOptions.bom !== "keep" && text.charAt(0) === "\ufeff") {
+            bom = text.charAt(0);
+            text = text.slice(1);
+        }
+
+        if (textOptions.bom === "strip") {
+            bom = "";
+        }
+
+        return exports.callFunction(each, [
+            filename,
+            text,
+            file,
+            ...args
+        ]).then((result) => {
+            if (typeof result !== "string") {
+                return result;
+            }
+
+            file.contents = Buffer.from(bom + result, textOptions.encoding);
+
+            return null;
+        });
+    };
+}
+
+
+/**
+ * Adds a file to the files object. Converts the contents for you automatically.
+ * Sets the file mode to 0644 as well.
+ *
+ * The contents can be converted:
+ *
+ * * Buffers remain intact.
+ * * Strings are encoded into Buffer objects.
+ * * All other things are passed to a serializer and then encoded as a
+ *   buffer. The serializer is picked by the `format` option or by the
+ *   filename's extension. When neither has a serializer, they are passed
+ *   through `JSON.stringify()`. See `registerSerializer` for the built-in
+ *   formats.
+ *
+ * @example
+ * // Make a sample plugin that adds hello.txt.
+ * return pluginKit.middleware({
+ *     after: (files) => {
+ *         pluginKit.addFile(files, "hello.txt", "Hello world!");
+ *     }
+ * });
+ *
+ * @example
+ * // Add a page that looks like it was read from disk, unless the site
+ * // already has one.
+ * pluginKit.addFile(files, "404.md", "Not found", {
+ *     ifExists: "skip",
+ *     metadata: {
+ *         layout: "error.html",
+ *         title: "Page Not Found"
+ *     },
+ *     stats: true
+ * });
+ *
+ * @example
+ * // Write a source page with front-matter for a later build.
+ * pluginKit.addFile(files, "src/posts/hello.md", "# Hello\n", {
+ *     frontMatter: {
+ *         layout: "post.html",
+ *         title: "Hello"
+ *     }
+ * });
+ * // files["src/posts/hello.md"].contents is now:
+ * // ---
+ * // layout: post.html
+ * // title: Hello
+ * // ---
+ * // # Hello
+ *
+ * @param {metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {string} filename
+ * @param {(Buffer|string|*)} contents
+ * @param {Object} [options]
+ * @param {string} [options.encoding=utf8]
+ * @param {string} [options.format] Serializer used for contents that are not strings or Buffers. Defaults to the serializer registered for the file's extension. When there is none, `JSON.stringify()` is used.
+ * @param {Object} [options.formatOptions={}] Passed to the serializer, such as `{ indent: 4 }` for JSON.
+ * @param {Object} [options.frontMatter] Data to write as front-matter before the contents, using `stringifyFrontMatter`. Use this for generated source files that another build will read.
+ * @param {Object} [options.frontMatterOptions={}] Passed to `stringifyFrontMatter`, such as `{ format: "json" }`.
+ * @param {string} [options.ifExists=overwrite] What to do when the filename is already in use. "overwrite" replaces the file, "merge" keeps the existing file object and its metadata while replacing the contents, updating the size and modification time of any existing `stats`, "skip" leaves the existing file alone, "suffix" adds a number as `renameFile` does and "error" throws an error with the code "EEXIST".
+ * @param {Object} [options.metadata] Properties to copy onto the file, such as front-matter fields.
+ * @param {string} [options.mode=0644] When merging, the existing file's mode is kept unless this is set.
+ * @param {string} [options.separator] Forward slashes and backslashes in the filename are replaced with this so keys are written in one consistent form. Defaults to the platform's separator, `path.sep`. Set to `null` to keep the filename as it was given.
+ * @param {(boolean|Object)} [options.stats=false] When enabled, adds a `stats` object like the one Metalsmith creates when reading files from disk. The size, mode and times are filled in. Pass an object to set some of the properties yourself.
+ * @return {(string|null)} The filename that was written, or `null` when it was skipped.
+ * @throws {Error} when the filename is in use and `ifExists` is "error".
+ */
+exports.addFile = (files, filename, contents, options) => {
+    var file, mode;
+
+    options = exports.defaultOptions({
+        encoding: "utf8",
+        format: null,
+        formatOptions: {},
+        frontMatter: null,
+        frontMatterOptions: {},
+        ifExists: "overwrite",
+        metadata: {},
+        mode: null,
+        separator: path.sep,
+        stats: false
+    }, options);
+    mode = options.mode;
+
+    filename = normalizeSeparators(filename, options.separator);
+    contents = serializeContents(filename, contents, options);
+
+    if (options.frontMatter) {
+        contents = Buffer.from(exports.stringifyFrontMatter(options.frontMatter, contents, Object.assign({
+            encoding: options.encoding
+        }, options.frontMatterOptions)), options.encoding);
+    }
+
+    if (options.ifExists === "merge" && files[filename]) {
+        file = files[filename];
+        mode = mode || file.mode;
+    } else {
+        filename = resolveCollision(files, filename, options.ifExists);
+
+        if (filename === null) {
+            return null;
+        }
+
+        file = {};
+    }
+
+    mode = mode || "0644";
+    Object.assign(file, exports.clone(options.metadata), {
+        contents,
+        mode
+    });
+
+    if (options.stats) {
+        file.stats = createStats(contents, mode, options.stats);
+    } else if (file.stats && typeof file.stats === "object") {
+        file.stats.size = contents.length;
+        file.stats.mtime = new Date();
+    }
+
+    files[filename] = file;
+
+    return filename;
+};
+
+
+/**
+ * Calls a function and passes it a number of arguments. The function can
+ * be synchronous and return a value, asynchronous and return a Promise, or
+ * asynchronous and support a Node-style callback.
+ *
+ * The result of the promise is the value provided by the returned value,
+ * the resolved Promise, or the callback's result. If there is an error thrown
+ * or one supplied via a Promise rejection or the callback, this function's
+ * Promise will be rejected.
+ *
+ * A timeout or an AbortSignal stops the waiting, not the work. The function
+ * keeps running and its eventual result is ignored.
+ *
+ * The style is detected by comparing `fn.length` to the number of arguments.
+ * When the function has more parameters than arguments, it is passed a
+ * callback. Default values and rest parameters are not counted by
+ * `fn.length`, so set `options.style` for those functions. Strict mode
+ * reports functions that call their callback more than once, that call a
+ * callback and also return a Promise, and functions with an ambiguous
+ * parameter list. Problems reject the Promise when it is still pending and
+ * are emitted with `process.emitWarning()` otherwise.
+ *
+ * @example
+ * function testSync(message) {
+ *     console.log(message);
+ * }
+ *
+ * promise = pluginKit.callFunction(testSync, [ "sample message" ]);
+ * // sample message is printed and promise will be resolved asynchronously
+ *
+ * @example
+ * function testPromise(message) {
+ *     return new Promise((resolve, reject) => {
+ *         setTimeout(() => {
+ *             console.log(message);
+ *             resolve();
+ *         }, 1000);
+ *     });
+ * }
+ *
+ * promise = pluginKit.callFunction(testPromise, [ "sample message" ]);
+ * // promise will be resolved after message is printed
+ *
+ * @example
+ * function testCallback(message, done) {
+ *     setTimeout(() => {
+ *         console.log(message);
+ *         done();
+ *     });
+ * }
+ *
+ * promise = pluginKit.callFunction(testCallback, [ "sample message" ]);
+ * // promise will be resolved after message is printed
+ *
+ * @example
+ * function neverFinishes(done) {}
+ *
+ * promise = pluginKit.callFunction(neverFinishes, [], {
+ *     timeout: 5000
+ * });
+ * // promise will be rejected with a TimeoutError after 5 seconds
+ *
+ * @param {Function} fn Function to call
+ * @param {Array.<*>} [args] Arguments to pass to the function.
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] Report misuse of callbacks and Promises with an error whose name is "CallbackMisuseError".
+ * @param {string} [options.style] Set to "callback", "promise" or "sync" instead of detecting the style from the number of parameters.
+ * @param {AbortSignal} [options.signal] When aborted, the Promise is rejected with an error whose name is "AbortError". The function is not called if the signal was already aborted.
+ * @param {number} [options.timeout=0] Milliseconds to wait for the function to finish. When exceeded, the Promise is rejected with an error whose name is "TimeoutError". Zero means wait forever.
+ * @return {Promise.<*>}
+ */
+exports.callFunction = (fn, args, options) => {
+    var promise;
+
+    if (!fn) {
+        return Promise.resolve();
+    }
+
+    options = options || {};
+
+    if (options.signal && options.signal.aborted) {
+        return Promise.reject(abortError(fn, options.signal));
+    }
+
+    promise = invokeFunction(fn, args, options);
+
+    if (options.signal || options.timeout > 0) {
+        promise = settleWithin(promise, fn, options);
+    }
+
+    return promise;
+};
+
+
+/**
+ * The plugin returned from `chain`. It is a regular Metalsmith plugin with
+ * a few extra properties.
+ *
+ * @typedef {Function} chainedPlugin
+ * @property {Array.<Object>} steps Each step has a `name` and a `plugin`.
+ * @property {Function} insertAfter `(name, ...plugins)` Returns a new chain with plugins added after the named step.
+ * @property {Function} insertBefore `(name, ...plugins)` Returns a new chain with plugins added before the named step.
+ * @property {Function} remove `(name)` Returns a new chain without the named step.
+ * @property {Function} replace `(name, ...plugins)` Returns a new chain with the named step replaced by the plugins.
+ * @see {@link module:metalsmith-plugin-kit.chain}
+ */
+
+
+/**
+ * Chains multiple plugins into one. Plugins run one after another and can
+ * be synchronous, return a Promise, or accept a Node-style callback, just
+ * like the functions passed to `callFunction`. Errors, including ones that
+ * are thrown, stop the chain.
+ *
+ * The returned function is named after its members, such as
+ * "chain(markdown, layouts)". When a step fails, the error passed to `done`
+ * says which step failed and has `step` (starting at 1), `stepName` and
+ * `cause` properties; `cause` is the original error.
+ *
+ * The combined function lists its members in `steps`. Steps are named with
+ * the plugin's function name, which can be set with `renameFunction`. It
+ * also has `insertAfter`, `insertBefore`, `remove` and `replace` methods
+ * that find a step by name and return a new chain with the change, leaving
+ * the original chain untouched. They throw when no step has that name.
+ *
+ * @example
+ * const plugin1 = require('metalsmith-markdown')();
+ * const plugin2 = require('metalsmith-data-loader')();
+ * const pluginKit = require('metalsmith-plugin-kit');
+ *
+ * const combined = pluginKit.chain(plugin1, plugin2);
+ * metalsmith.use(combined);
+ *
+ * @example
+ * // Adjust a shared preset for one site.
+ * const preset = require('./shared-preset');
+ * const toc = require('metalsmith-toc')();
+ *
+ * pluginKit.renameFunction(toc, 'toc');
+ * metalsmith.use(preset.remove('sitemap').insertAfter('markdown', toc));
+ *
+ * @param {Function} plugin... Plugins to combine
+ * @return {module:metalsmith-plugin-kit~chainedPlugin} Combined function
+ * @see {@link module:metalsmith-plugin-kit.callFunction}
+ */
+exports.chain = (...plugins) => {
+    var chained, edit, names;
+
+    names = plugins.map((plugin) => {
+        return plugin.name || "anonymous";
+    });
+    chained = (files, metalsmith, done) => {
+        return plugins.reduce((previous, plugin, index) => {
+            return previous.then(() => {
+                return exports.callFunction(plugin, [
+                    files,
+                    metalsmith
+                ]).catch((err) => {
+                    throw annotateError(err, `${chained.name} (step ${index + 1}, ${names[index]})`, {
+                        step: index + 1,
+                        stepName: names[index]
+                    });
+                });
+            });
+        }, Promise.resolve()).then(() => {
+            done();
+        }, done);
+    };
+    exports.renameFunction(chained, `chain(${names.join(", ")})`);
+    edit = (name, offset, deleteCount, additions) => {
+        var copy, index;
+
+        index = names.indexOf(name);
+
+        if (index === -1) {
+            throw new Error(`${chained.name} does not have a step named "${name}"`);
+        }
+
+        copy = plugins.slice();
+        copy.splice(index + offset, deleteCount, ...additions);
+
+        return exports.chain(...copy);
+    };
+    chained.steps = plugins.map((plugin, index) => {
+        return {
+            name: names[index],
+            plugin
+        };
+    });
+    chained.insertAfter = (name, ...additions) => {
+        return edit(name, 1, 0, additions);
+    };
+    chained.insertBefore = (name, ...additions) => {
+        return edit(name, 0, 0, additions);
+    };
+    chained.remove = (name) => {
+        return edit(name, 0, 1, []);
+    };
+    chained.replace = (name, ...additions) => {
+        return edit(name, 0, 1, additions);
+    };
+
+    return chained;
+};
+
+/**
+ * Lightweight object clone function, primarily designed for plain objects,
+ * expecially targeted for options to middleware.
+ *
+ * Copies Buffers, Dates, Maps, Sets, typed arrays and ArrayBuffers into new
+ * objects of the same type. Functions and regular expressions are shared
+ * instead of copied. Circular references and objects that appear more than
+ * once are cloned once, so the copy has the same shape as the original.
+ *
+ * Instances of other classes are copied into plain objects by default. Set
+ * `classInstances` to "prototype" to keep the prototype of the original, or
+ * to "reference" to share the instance instead of copying it.
+ *
+ * @example
+ * a = {};
+ * b = pluginKit.clone(a);
+ * a.test = true;
+ *
+ * // This didn't update b because it's a clone.
+ * console.log(JSON.stringify(b)); // {}
+ *
+ * @example
+ * a = {
+ *     when: new Date(),
+ *     vector: new Vector(1, 2)
+ * };
+ * a.self = a;
+ * b = pluginKit.clone(a, {
+ *     classInstances: "prototype"
+ * });
+ *
+ * // b.when is a new Date, b.vector is a new Vector and b.self is b.
+ *
+ * @param {*} original
+ * @param {Object} [options]
+ * @param {string} [options.classInstances=plain] How to copy instances of classes: "plain", "prototype" or "reference".
+ * @return {*} clone
+ */
+exports.clone = (original, options) => {
+    var classInstances;
+
+    classInstances = "plain";
+
+    if (options && options.classInstances) {
+        classInstances = options.classInstances;
+    }
+
+    return cloneValue(original, classInstances, new Map());
+};
+
+
+/**
+ * Converts a `matchList` that came from JSON or the command line into one
+ * that uses the full `matchItem` vocabulary. Strings that look like regular
+ * expression literals, such as `"/\\.md$/i"`, become RegExp objects. The
+ * items inside `all`, `any` and `not` combinators are converted as well. All
+ * other items are returned unchanged.
+ *
+ * @example
+ * // metalsmith.json has { "match": [ "*.md", "/^posts\\/\\d+/" ] }
+ * match = pluginKit.coerceMatchList(options.match);
+ * // match = [ "*.md", /^posts\/\d+/ ]
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @return {module:metalsmith-plugin-kit~matchList}
+ */
+exports.coerceMatchList = (match) => {
+    var result;
+
+    if (Array.isArray(match)) {
+        return match.map(exports.coerceMatchList);
+    }
+
+    if (typeof match === "string") {
+        return parseRegExp(match) || match;
+    }
+
+    if (isPlainObject(match) && ["all", "any", "not"].some((key) => {
+        return Object.prototype.hasOwnProperty.call(match, key);
+    })) {
+        result = {};
+        Object.keys(match).forEach((key) => {
+            if (key === "all" || key === "any" || key === "not") {
+                result[key] = exports.coerceMatchList(match[key]);
+            } else {
+                result[key] = match[key];
+            }
+        });
+
+        return result;
+    }
+
+    return match;
+};
+
+
+/**
+ * Converts option values that came from JSON or the command line into the
+ * types a plugin expects. Returns a shallow copy of the options. Values that
+ * can not be converted are left alone so `validateOptions` can report them.
+ *
+ * The types are:
+ *
+ * * "boolean": The strings "true" and "false" become booleans.
+ * * "matchList": Converted with `coerceMatchList`.
+ * * "number": Numeric strings become numbers.
+ * * "regexp": Strings like `"/\\.md$/i"` become RegExp objects.
+ * * An object: The value is an object whose properties are coerced with
+ *   these nested types.
+ *
+ * @example
+ * options = pluginKit.coerceOptions({
+ *     limit: "10",
+ *     match: "/\\.md$/i",
+ *     matchOptions: {
+ *         dot: "true"
+ *     }
+ * }, {
+ *     limit: "number",
+ *     match: "matchList",
+ *     matchOptions: {
+ *         dot: "boolean"
+ *     }
+ * });
+ * // options = {
+ * //     limit: 10,
+ * //     match: /\.md$/i,
+ * //     matchOptions: {
+ * //         dot: true
+ * //     }
+ * // }
+ *
+ * @param {Object} options
+ * @param {Object.<string,(string|Object)>} types
+ * @return {Object}
+ * @see {@link module:metalsmith-plugin-kit.coerceMatchList}
+ */
+exports.coerceOptions = (options, types) => {
+    var result;
+
+    if (!options || typeof options !== "object") {
+        return options;
+    }
+
+    result = {};
+    Object.keys(options).forEach((key) => {
+        result[key] = coerceOptionValue(options[key], types[key]);
+    });
+
+    return result;
+};
+
+
+/**
+ * Defaults options by performing a limited, shallow merge of two objects.
+ * Returns a new object. Will not assign properties that are not defined in
+ * the defaults.
+ *
+ * Pass `{ deep: true }` as the third argument to merge plain objects
+ * recursively. The rule about only keeping properties that are defined in
+ * the defaults applies at every level, so an empty object in the defaults
+ * will stay empty. Arrays are replaced unless `arrays` is set to "concat",
+ * which appends the override's items to the default items.
+ *
+ * @example
+ * result = pluginKit.defaultOptions({
+ *     a: "default",
+ *     b: {
+ *         bDefault: "default"
+ *     }
+ * }, {
+ *     b: {
+ *         bOverride: "override"
+ *     },
+ *     c: "override but won't make it to the result"
+ * });
+ *
+ * // result = {
+ * //     a: "default"
+ * //     b: {
+ * //         bOverride: "override"
+ * //     }
+ * // }
+ *
+ * @example
+ * result = pluginKit.defaultOptions({
+ *     list: [ "default" ],
+ *     matchOptions: {
+ *         basename: false,
+ *         dot: false
+ *     }
+ * }, {
+ *     list: [ "override" ],
+ *     matchOptions: {
+ *         dot: true,
+ *         typo: true
+ *     }
+ * }, {
+ *     arrays: "concat",
+ *     deep: true
+ * });
+ *
+ * // result = {
+ * //     list: [ "default", "override" ],
+ * //     matchOptions: {
+ * //         basename: false,
+ * //         dot: true
+ * //     }
+ * // }
+ *
+ * @see {@link module:metalsmith-plugin-kit.validateOptions} to report unknown or invalid options.
+ * @param {Object} defaults
+ * @param {Object} override
+ * @param {Object} [mergeOptions]
+ * @param {string} [mergeOptions.arrays=replace] When deep merging, "replace" or "concat" arrays.
+ * @param {boolean} [mergeOptions.deep=false] Merge plain objects recursively.
+ * @return {Object}
+ */
+exports.defaultOptions = (defaults, override, mergeOptions) => {
+    var result;
+
+    result = {};
+
+    Object.keys(defaults).forEach((key) => {
+        result[key] = exports.clone(defaults[key]);
+    });
+
+    if (override && typeof override === "object") {
+        Object.keys(override).forEach((key) => {
+            if (Object.prototype.hasOwnProperty.call(result, key)) {
+                result[key] = mergeOptionValue(defaults[key], override[key], mergeOptions || {});
+            }
+        });
+    }
+
+    return result;
+};
+
+
+/**
+ * As a string, this is a single match pattern. It supports the following
+ * features, which are taken from the Bash 4.3 specification. With each feature
+ * listed, a couple sample examples are shown.
+ *
+ * * Wildcards: `**`, `*.js`
+ * * Negation: `!a/*.js`, `*!(b).js`
  * * Extended globs (extglobs): `+(x|y)`, `!(a|b)`
  * * POSIX character classes: `[[:alpha:][:digit:]]`
  * * Brace expansion: `foo/{1..5}.md`, `bar/{a,b,c}.js`
  * * Regular expression character classes: `foo-[1-5].js`
  * * Regular expression logical "or": `foo/(abc|xyz).js`
  *
- * When a RegExp, the file is tested against the regular expression.
+ * When a RegExp, the file is tested against the regular expression.
+ *
+ * When this is a function, the filename is passed as the first argument and
+ * the file object, when it is available, is the second argument. If the
+ * returned value is truthy, the file matches. This function must be
+ * synchronous for `filenameMatcher` and `filenameMatchDetails`. With
+ * `filenameMatcherAsync` and `middleware`, it may return a Promise or use a
+ * Node-style callback.
+ *
+ * When an object with a `metadata` property, such as
+ * `{ metadata: { draft: true } }`, this is a query against the file object.
+ * Every property listed must match the property of the same name on the
+ * file. Because these are plain objects, they can be written in JSON.
+ *
+ * * Values are compared with `===`. When the file's property is an array,
+ *   it only needs to contain the value: `{ tags: "news" }`.
+ * * `$exists`: `{ image: { $exists: true } }` matches when the property is
+ *   defined, and `false` matches when it is not.
+ * * `$in`: `{ layout: { $in: [ "post", "page" ] } }` matches when the
+ *   property is one of the values. Arrays match when any item is listed.
+ * * `$not`: `{ draft: { $not: true } }` reverses a value or an operator.
+ *
+ * When an object with an `all`, `any` or `not` property, the property is a
+ * `matchList` and the items are combined. `all` matches when every item
+ * matches, `any` matches when at least one does and `not` matches when none
+ * of them do. `matchAll`, `matchAny` and `matchNot` build these objects.
+ * They can be nested and use the same `matchOptions`.
+ *
+ * When any other object, this uses the object's `.test()` method. Make sure
+ * one exists.
+ *
+ * @typedef {(string|RegExp|Function|Object)} matchItem
+ * @see {@link https://github.com/micromatch/micromatch#extended-globbing} for extended globbing features.
+ */
+
+
+/**
+ * This can be one `matchItem` or an array of `matchItem` values.
+ *
+ * @typedef {(module:metalsmith-plugin-kit~matchItem|Array.<module:metalsmith-plugin-kit~matchItem>)} matchList
+ */
+
+
+/**
+ * These options control the matching library, which is only used when a
+ * string is passed as the `matchItem`. All listed options will be
+ * supported, even in the unlikely future that the matching library is
+ * replaced.
+ *
+ * Other options are also available from the library itself.
+ *
+ * @typedef {Object} matchOptions
+ * @property {boolean} [basename=false] Allow glob patterns without slashes to match a file path based on its basename.
+ * @property {boolean} [coerce=false] Pass the `matchList` through `coerceMatchList` first, so strings such as `"/\\.md$/i"` are used as regular expressions.
+ * @property {boolean} [dot=false] Enable searching of files and folders that start with a dot.
+ * @property {boolean} [nocase=false] Enable case-insensitive searches.
+ * @property {boolean} [normalizePaths] Convert backslashes in filenames to forward slashes before matching, so globs such as "posts/*.md" also match keys that were built on Windows. Defaults to `true` on Windows and `false` elsewhere.
+ * @see {@link https://github.com/micromatch/micromatch#options} for additional options supported by current backend library.
+ */
+
+
+/**
+ * The function that's returned by `filenameMatcher`. Pass it your filenames
+ * and it will synchronously determine if that matches any of the patterns that
+ * were previously passed into `filenameMatcher`. The file object is only
+ * needed for matchers that look at the file, such as metadata matchers.
+ *
+ * @callback matchFunction
+ * @param {string} filename
+ * @param {module:metalsmith-plugin-kit~metalsmithFile} [file]
+ * @return {boolean}
+ * @see {@link module:metalsmith-plugin-kit.filenameMatcher}
+ */
+
+/**
+ * Builds a function to determine if a file matches patterns.
+ *
+ * The chance that we switch from micromatch is extremely remote, but it could
+ * happen. If another library is used, all existing Plugin Kit tests must
+ * continue to pass unchanged. It is the duty of this function to remap
+ * options or perform the calls in another way so the alternate library can
+ * work. All of the flags documented below must continue to work as expected.
+ *
+ * @example
+ * var matcher;
+ *
+ * matcher = pluginKit.filenameMatcher("*.txt");
+ * [
+ *     "test.txt",
+ *     "test.html"
+ * ].forEach((fileName) => {
+ *     console.log(fileName, matcher(fileName));
+ *     // test.txt true
+ *     // test.html false
+ * });
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @return {module:metalsmith-plugin-kit~matchFunction}
+ */
+exports.filenameMatcher = (match, options) => {
+    var prepare, test;
+
+    if (options && options.coerce) {
+        match = exports.coerceMatchList(match);
+    }
+
+    prepare = matchFilename(options);
+    test = compileMatchList(match, options);
+
+    return (filename, file) => {
+        return test(prepare(filename), file);
+    };
+};
+
+
+/**
+ * Builds a function like `filenameMatcher`, except function match items
+ * may be asynchronous. They are called with `callFunction`, so they can
+ * return a Promise or accept a Node-style callback as a third argument.
+ * The returned function always returns a Promise.
+ *
+ * Items are tried in order and stop as soon as the result is known, so
+ * put inexpensive globs before slow look-ups.
+ *
+ * @example
+ * var matcher;
+ *
+ * matcher = pluginKit.filenameMatcherAsync(pluginKit.matchAll(
+ *     "images/*.jpg",
+ *     (filename, file, done) => {
+ *         fs.access(`${filename}.json`, (err) => {
+ *             done(null, !err);
+ *         });
+ *     }
+ * ));
+ * matcher("images/cat.jpg").then((matched) => {
+ *     console.log(matched);
+ * });
+ *
+ * @example
+ * // Lookups that take longer than a second fail with a "TimeoutError"
+ * matcher = pluginKit.filenameMatcherAsync(lookup, {}, {
+ *     timeout: 1000
+ * });
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @param {Object} [callOptions] Options that are passed to `callFunction` for each function match item.
+ * @param {number} [callOptions.timeout=0] Milliseconds that an asynchronous function may take before the match fails with a "TimeoutError". Zero means no limit.
+ * @return {Function} Accepts a filename and optional file object, returns a Promise that resolves to a boolean.
+ */
+exports.filenameMatcherAsync = (match, options, callOptions) => {
+    var prepare, test;
+
+    if (options && options.coerce) {
+        match = exports.coerceMatchList(match);
+    }
+
+    prepare = matchFilename(options);
+    test = compileMatchList(match, options, true, callOptions);
+
+    return (filename, file) => {
+        return Promise.resolve().then(() => {
+            return test(prepare(filename), file);
+        }).then(Boolean);
+    };
+};
+
+
+/**
+ * Information about which pattern matched a file, returned by the function
+ * that `filenameMatchDetails` builds.
+ *
+ * @typedef {Object} matchDetails
+ * @property {Array.<string>} captures Glob captures for strings, such as `[ "2020", "hello" ]` when "posts/*-*.md" matches "posts/2020-hello.md", or the RegExp groups. Empty for other match items.
+ * @property {Object.<string,string>} groups Named groups from a RegExp. Empty for other match items.
+ * @property {number} index Position of the matching item in the `matchList`.
+ * @property {module:metalsmith-plugin-kit~matchItem} pattern The matching item.
+ * @see {@link module:metalsmith-plugin-kit.filenameMatchDetails}
+ */
+
+
+/**
+ * Builds a function that works like the one from `filenameMatcher`, but
+ * describes the match instead of returning a boolean. The items in the
+ * `matchList` are tried in order and the first one that matches is
+ * described. When nothing matches, the function returns `null`.
+ *
+ * @example
+ * var matcher;
+ *
+ * matcher = pluginKit.filenameMatchDetails([
+ *     "posts/*-*.md",
+ *     /^pages\/(?<slug>.*)\.md$/
+ * ]);
+ * console.log(matcher("posts/2020-hello.md"));
+ * // { captures: [ "2020", "hello" ], groups: {}, index: 0, pattern: "posts/*-*.md" }
+ * console.log(matcher("pages/about.md"));
+ * // { captures: [ "about" ], groups: { slug: "about" }, index: 1, pattern: /^pages\/(?<slug>.*)\.md$/ }
+ * console.log(matcher("other.txt"));
+ * // null
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options]
+ * @return {Function} Accepts a filename and optional file object, returns {@link module:metalsmith-plugin-kit~matchDetails} or `null`.
+ */
+exports.filenameMatchDetails = (match, options) => {
+    return compileMatchDetails(match, options, false);
+};
+
+
+/**
+ * Combines match items so a file only matches when every one of them
+ * matches.
+ *
+ * @example
+ * // Markdown posts, except drafts and the index
+ * matcher = pluginKit.filenameMatcher(pluginKit.matchAll(
+ *     "posts/*.md",
+ *     pluginKit.matchNot("posts/draft-*", "posts/index.md")
+ * ));
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match... Items that must all match
+ * @return {module:metalsmith-plugin-kit~matchItem}
+ */
+exports.matchAll = (...match) => {
+    return {
+        all: match
+    };
+};
+
+
+/**
+ * Combines match items so a file matches when at least one of them
+ * matches. This is how a `matchList` works already, so it is mainly useful
+ * when nested inside `matchAll` or `matchNot`.
+ *
+ * @example
+ * matcher = pluginKit.filenameMatcher(pluginKit.matchAll(
+ *     pluginKit.matchAny("*.md", /\.markdown$/),
+ *     {
+ *         metadata: {
+ *             draft: {
+ *                 $not: true
+ *             }
+ *         }
+ *     }
+ * ));
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match... Items where any may match
+ * @return {module:metalsmith-plugin-kit~matchItem}
+ */
+exports.matchAny = (...match) => {
+    return {
+        any: match
+    };
+};
+
+
+/**
+ * Builds a match item that only matches when none of the items match.
+ *
+ * @example
+ * // Everything except drafts
+ * matcher = pluginKit.filenameMatcher(pluginKit.matchNot("drafts/**"));
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match... Items that must not match
+ * @return {module:metalsmith-plugin-kit~matchItem}
+ */
+exports.matchNot = (...match) => {
+    return {
+        not: match
+    };
+};
+
+
+/**
+ * Middleware defintion object.
+ *
+ * @typedef {Object} middlewareDefinition
+ * @property {module:metalsmith-plugin-kit~endpointCallback} [after] Called after all files are processed.
+ * @property {number} [batchSize=0] Number of files passed to each call of `eachBatch`. Zero sends every matching file in a single batch.
+ * @property {module:metalsmith-plugin-kit~endpointCallback} [before] Called before any files are processed.
+ * @property {number} [concurrency=0] Maximum number of `each` calls that may run at the same time. Zero means there is no limit.
+ * @property {(module:metalsmith-plugin-kit~eachCallback|module:metalsmith-plugin-kit~eachTextCallback)} [each] Called  once for each file that matches.
+ * @property {module:metalsmith-plugin-kit~eachBatchCallback} [eachBatch] Called with the matching files in batches of `batchSize`, after every `each` call has finished. Batches honor `concurrency` and `sequential`.
+ * @property {string} [errorMode=failFast] When "failFast", the first error from `each` or `eachBatch` is passed to Metalsmith. When "collect", every file and batch is allowed to finish and then a single `AggregateError` that lists each failure is passed to Metalsmith. A file whose `match` fails is treated as not matching. Changes returned by the files that succeeded are still applied and `eachBatch` still runs with them before the error is passed along. The `after` callback is not called when there are errors.
+ * @property {string} [ifExists=error] What to do when changes returned from `each` write a filename that is in use, including one that another result writes. "error" fails without changing any files, "overwrite" lets the later result win, "skip" keeps the existing file and "suffix" adds a number as `renameFile` does.
+ * @property {module:metalsmith-plugin-kit~matchList} [ignore] Files that match this are skipped, even when they match `match`. Uses `matchOptions` as well.
+ * @property {module:metalsmith-plugin-kit~matchList} [match] Defaults to all files. Functions in the list may be asynchronous.
+ * @property {boolean} [matchDetails=false] Passes a {@link module:metalsmith-plugin-kit~matchDetails} object to `each` as an extra argument after `metalsmith`. This also raises the number of parameters that `each` needs to use a callback.
+ * @property {module:metalsmith-plugin-kit~matchOptions} [matchOptions={}]
+ * @property {string} [name] When supplied, renames the middleware function that's returned to the given name. Useful for `metalsmith-debug-ui`, for instance.
+ * @property {boolean} [sequential=false] Waits for each file to finish before starting the next one. Same as setting `concurrency` to 1.
+ * @property {(module:metalsmith-plugin-kit~sortComparator|string)} [sort] Processes files in a defined order. A string sorts by that file metadata property, with missing values last.
+ * @property {boolean} [text=false] Calls `each` as an {@link module:metalsmith-plugin-kit~eachTextCallback}, which is given the decoded contents and can return the new contents. Binary files are skipped and are not passed to `each` or `eachBatch`.
+ * @property {module:metalsmith-plugin-kit~textOptions} [textOptions={}]
+ * @property {(number|Object)} [timeout=0] Milliseconds that `before`, each asynchronous match function, `each`, `eachBatch` and `after` may take before failing. Use an object with `before`, `match`, `each`, `eachBatch` and `after` properties to set different timeouts per phase. Zero means no limit.
+ * @see {@link module:metalsmith-plugin-kit.middleware}
+ * @see {@link https://github.com/leviwheatcroft/metalsmith-debug-ui)
+ */
+
+
+/**
+ * Controls how file contents are decoded and encoded when `text` is
+ * enabled in the middleware definition.
+ *
+ * @typedef {Object} textOptions
+ * @property {string} [binary=skip] When "skip", files with a NUL byte in their first 8000 bytes are treated as binary and skipped. Files without a Buffer for their contents are always skipped. When "process", every other file is decoded. Use "process" for UTF-16 text, which contains NUL bytes.
+ * @property {string} [bom=preserve] What to do with a byte order mark at the start of the contents. "preserve" removes it from the text and writes it back with the new contents. "strip" removes it and does not write it back. "keep" leaves it in the text.
+ * @property {string} [encoding=utf8] Character encoding used to decode and encode the contents.
+ * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
+ */
+
+
+/**
+ * Compares two files to determine the order that `each` sees them. Works
+ * like the comparator passed to `Array.prototype.sort()`. Files that compare
+ * as equal keep their original order.
+ *
+ * @callback sortComparator
+ * @param {Array} a A `[filename, file]` pair
+ * @param {Array} b A `[filename, file]` pair
+ * @return {number}
+ * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
+ */
+
+
+/**
+ * A callback that is called before processing any file or after processing
+ * any file.
+ *
+ * Uses Node-style callbacks if your function expects more than 2 parameters.
  *
- * When this is a function, the filename is passed as the first argument and
- * the file contents are the second argument. If the returned value is truthy,
- * the file matches. This function may not be asynchronous.
+ * @callback endpointCallback
+ * @param {module:metalsmith-plugin-kit~metalsmithFiles} files
+ * @param {external:metalsmith} metalsmith
+ * @param {Function} [done]
+ * @see {@link module:metalsmith-plugin-kit.callFunction}
+ * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
+ */
+
+
+/**
+ * This is the function that will be fired when a file matches your match
+ * criteria. It will be executed once for each file. It also could run
+ * concurrently with other functions when you are performing asynchronous
+ * work. Set `concurrency` in the middleware definition to limit how many
+ * run at the same time.
  *
- * When an object, this uses the object's `.test()` method. Make sure one
- * exists.
+ * Instead of changing `files` while other `each` calls could be running,
+ * the function can return (or resolve with) an object that describes the
+ * changes. They are applied after every `each` call has finished.
  *
- * @typedef {(string|RegExp|Function|Object)} matchItem
- * @see {@link https://github.com/micromatch/micromatch#extended-globbing} for extended globbing features.
+ * Uses Node-style callbacks if your function expects more than 4 parameters,
+ * or more than 5 when `matchDetails` is enabled.
+ *
+ * @callback eachCallback
+ * @param {string} filename
+ * @param {module:metalsmith-plugin-kit~metalsmithFile} file
+ * @param {module:metalsmith-plugin-kit~metalsmithFiles} files
+ * @param {external:metalsmith} metalsmith
+ * @param {module:metalsmith-plugin-kit~matchDetails} [details] Only passed when `matchDetails` is enabled.
+ * @param {Function} [done]
+ * @return {(module:metalsmith-plugin-kit~eachResult|Promise.<module:metalsmith-plugin-kit~eachResult>|*)}
+ * @see {@link module:metalsmith-plugin-kit.callFunction}
+ * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
  */
 
 
 /**
- * This can be one `matchItem` or an array of `matchItem` values.
+ * Changes to the file collection that are returned from an `each`
+ * callback. They are applied together after every `each` call has
+ * finished. Removals and renames are resolved against the collection as it
+ * was before any change, so two files can swap names. Then renamed files
+ * are placed and new files are added, in the same order that `each` saw the
+ * files. Collisions are handled by `ifExists` in the middleware
+ * definition, which throws an error by default. Any value that is not a
+ * plain object is ignored.
  *
- * @typedef {(module:metalsmith-plugin-kit~matchItem|Array.<module:metalsmith-plugin-kit~matchItem>)} matchList
+ * @example
+ * // Replaces "index.md" with "index.html" and adds a copy as "home.html"
+ * each: (filename, file) => {
+ *     return {
+ *         add: {
+ *             "home.html": file.contents
+ *         },
+ *         rename: filename.replace(/\.md$/, ".html")
+ *     };
+ * }
+ *
+ * @typedef {Object} eachResult
+ * @property {Object.<string,(Buffer|string|*)>} [add] Files to add, which are passed to `addFile` so the contents are converted the same way.
+ * @property {(string|Array.<string>)} [remove] Filenames to remove.
+ * @property {string} [rename] New filename for the file that `each` was called for. The file object and its metadata are kept, `originalPath` is set the same as `renameFile` does and the separators are normalized to `path.sep`. When `ifExists` is "skip", the file keeps its name.
+ * @see {@link module:metalsmith-plugin-kit~eachCallback}
  */
 
 
 /**
- * These options control the matching library, which is only used when a
- * string is passed as the `matchItem`. All listed options will be
- * supported, even in the unlikely future that the matching library is
- * replaced.
+ * Used instead of `eachCallback` when `text` is enabled in the middleware
+ * definition. The file's contents are decoded and passed as `text`. When
+ * the function returns (or resolves with) a string, it is encoded and
+ * becomes the file's new contents. Other results work the same as they do
+ * for `eachCallback`.
  *
- * Other options are also available from the library itself.
+ * Uses Node-style callbacks if your function expects more than 5 parameters,
+ * or more than 6 when `matchDetails` is enabled.
  *
- * @typedef {Object} matchOptions
- * @property {boolean} [basename=false] Allow glob patterns without slashes to match a file path based on its basename.
- * @property {boolean} [dot=false] Enable searching of files and folders that start with a dot.
- * @property {boolean} [nocase=false] Enable case-insensitive searches.
- * @see {@link https://github.com/micromatch/micromatch#options} for additional options supported by current backend library.
+ * @callback eachTextCallback
+ * @param {string} filename
+ * @param {string} text
+ * @param {module:metalsmith-plugin-kit~metalsmithFile} file
+ * @param {module:metalsmith-plugin-kit~metalsmithFiles} files
+ * @param {external:metalsmith} metalsmith
+ * @param {module:metalsmith-plugin-kit~matchDetails} [details] Only passed when `matchDetails` is enabled.
+ * @param {Function} [done]
+ * @return {(string|module:metalsmith-plugin-kit~eachResult|Promise|*)}
+ * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
  */
 
 
 /**
- * The function that's returned by `filenameMatcher`. Pass it your filenames
- * and it will synchronously determine if that matches any of the patterns that
- * were previously passed into `filenameMatcher`.
+ * Called with a batch of matching files so work can be done in bulk. The
+ * batch only lists files that still exist when it is built. Batches could
+ * run concurrently, the same as `each`.
  *
- * @callback matchFunction
- * @param {string} filename
- * @return {boolean}
- * @see {@link module:metalsmith-plugin-kit.filenameMatcher}
+ * Uses Node-style callbacks if your function expects more than 3 parameters.
+ *
+ * @callback eachBatchCallback
+ * @param {Array.<Array>} batch `[filename, file]` pairs, in the same order that `each` sees them.
+ * @param {module:metalsmith-plugin-kit~metalsmithFiles} files
+ * @param {external:metalsmith} metalsmith
+ * @param {Function} [done]
+ * @see {@link module:metalsmith-plugin-kit.callFunction}
+ * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
  */
 
+
 /**
- * Builds a function to determine if a file matches patterns.
+ * Return middleware function. This is why Plugin Kit was created. It helps
+ * handle asynchronous tasks, eliminates the need for using your own
+ * matcher and you no longer iterate through the files with `Object.keys()`.
  *
- * The chance that we switch from micromatch is extremely remote, but it could
- * happen. If another library is used, all existing Plugin Kit tests must
- * continue to pass unchanged. It is the duty of this function to remap
- * options or perform the calls in another way so the alternate library can
- * work. All of the flags documented below must continue to work as expected.
+ * Files are matched with `filenameMatcherAsync`, so function match items
+ * may be asynchronous. Every file is matched before `each` is called for
+ * any of them.
+ *
+ * Errors from `before`, matching, `each` and `after` are wrapped so the
+ * message says which middleware (using `name`), which phase and, for
+ * matching and `each`, which file caused the problem. The wrapping error
+ * has `plugin`, `phase`, `filename` and `cause` properties; `cause` is the
+ * original error.
  *
  * @example
- * var matcher;
+ * var fileList;
  *
- * matcher = pluginKit.filenameMatcher("*.txt");
- * [
- *     "test.txt",
- *     "test.html"
- * ].forEach((fileName) => {
- *     console.log(fileName, matcher(fileName));
- *     // test.txt true
- *     // test.html false
+ * return pluginKit.middleware({
+ *     after: (files) => {
+ *         pluginKit.addFile(files, "all-files.json", fileList);
+ *     },
+ *     before: () => {
+ *         fileList = [];
+ *     },
+ *     each: (filename) => {
+ *         fileList.push(filename);
+ *     }
  * });
  *
- * @param {module:metalsmith-plugin-kit~matchList} match
- * @param {module:metalsmith-plugin-kit~matchOptions} [options]
- * @return {module:metalsmith-plugin-kit~matchFunction}
+ * @example
+ * // This silly plugin changes all instances of "fidian" to lower case
+ * // in all text-like files.
+ * return pluginKit.middleware({
+ *     each: (filename, text) => {
+ *         return text.replace(/fidian/ig, "fidian");
+ *     },
+ *     match: "*.{c,htm,html,js,json,md,txt}",
+ *     matchOptions: {
+ *         basename: true
+ *     },
+ *
+ *     // Providing a name will rename this middleware so it can be displayed
+ *     // by metalsmith-debug-ui and other tools.
+ *     name: "metalsmith-lowercase-fidian",
+ *
+ *     // Decodes the contents for each and encodes the returned string.
+ *     text: true
+ * });
+ *
+ * @example
+ * // Illustrates asynchronous processing.
+ * return pluginKit.middleware({
+ *     after: (files) => {
+ *         // Promise-based. Delay 5 seconds when done building.
+ *         return new Promise((resolve) => {
+ *             setTimeout(() => {
+ *                 console.log("I paused for 5 seconds");
+ *                 resolve();
+ *             }, 5000);
+ *         });
+ *     },
+ *     before: (files, metalsmith, done) => {
+ *         // Callback-based. Add a file to the build.
+ *         fs.readFile("content.txt", (err, buffer) => {
+ *             if (!err) {
+ *                 pluginKit.addFile(files, "content.txt", buffer);
+ *             }
+ *             done(err);
+ *         });
+ *     }
+ * });
+ *
+ * @param {module:metalsmith-plugin-kit~middlewareDefinition} [options]
+ * @return {Function} middleware function
  */
-exports.filenameMatcher = (match, options) => {
-    match = [].concat(match);
+exports.middleware = (options) => {
+    var callOptions, each, ignoreMatcher, limit, matcher, middlewareFn, pluginName, textOptions;
 
-    if (!match.length) {
-        return () => {
-            return false;
+    options = exports.defaultOptions({
+        after: () => {},
+        batchSize: 0,
+        before: () => {},
+        concurrency: 0,
+        each: () => {},
+        eachBatch: null,
+        errorMode: "failFast",
+        ifExists: "error",
+        ignore: [],
+        match: "**/*",
+        matchDetails: false,
+        matchOptions: {},
+        name: null,
+        sequential: false,
+        sort: null,
+        text: false,
+        textOptions: {},
+        timeout: 0
+    }, options);
+    textOptions = exports.defaultOptions({
+        binary: "skip",
+        bom: "preserve",
+        encoding: "utf8"
+    }, options.textOptions);
+    each = options.each;
+
+    if (options.text) {
+        each = textEach(options.each, textOptions);
+    }
+
+    callOptions = (phase) => {
+        var timeout;
+
+        timeout = options.timeout;
+
+        if (timeout && typeof timeout === "object") {
+            timeout = timeout[phase];
+        }
+
+        return {
+            timeout
+        };
+    };
+    if (options.matchDetails) {
+        matcher = compileMatchDetails(options.match, options.matchOptions, true, callOptions("match"));
+    } else {
+        matcher = exports.filenameMatcherAsync(options.match, options.matchOptions, callOptions("match"));
+    }
+
+    ignoreMatcher = exports.filenameMatcherAsync(options.ignore, options.matchOptions, callOptions("match"));
+    limit = options.concurrency;
+
+    if (options.sequential) {
+        limit = 1;
+    }
+
+    pluginName = options.name || "middleware";
+    middlewareFn = (files, metalsmith, done) => {
+        var failures, handleFailure;
+
+        failures = [];
+        handleFailure = (promise) => {
+            if (options.errorMode === "collect") {
+                return promise.catch((err) => {
+                    failures.push(err);
+                });
+            }
+
+            return promise;
         };
+
+        return exports.callFunction(options.before, [
+            files,
+            metalsmith
+        ], callOptions("before")).catch((err) => {
+            throw annotateError(err, `${pluginName} (before)`, {
+                phase: "before",
+                plugin: options.name
+            });
+        }).then(() => {
+            var filenames;
+
+            filenames = Object.keys(files);
+
+            return mapLimit(filenames, limit, (filename) => {
+                if (options.text && !isTextFile(files[filename], textOptions)) {
+                    return false;
+                }
+
+                return handleFailure(matcher(filename, files[filename]).then((result) => {
+                    return result && ignoreMatcher(filename, files[filename]).then((ignored) => {
+                        return !ignored && result;
+                    });
+                }).catch((err) => {
+                    throw annotateError(err, `${pluginName} (match ${filename})`, {
+                        filename,
+                        phase: "match",
+                        plugin: options.name
+                    });
+                }));
+            }).then((results) => {
+                var details;
+
+                details = {};
+                filenames = filenames.filter((filename, index) => {
+                    details[filename] = results[index];
+
+                    return results[index];
+                });
+
+                return {
+                    details,
+                    filenames: sortFilenames(filenames, files, options.sort)
+                };
+            });
+        }).then((matched) => {
+            var changes;
+
+            changes = {};
+
+            return mapLimit(matched.filenames, limit, (filename) => {
+                var args;
+
+                // Files can be deleted before they get processed.
+                if (!files[filename]) {
+                    return null;
+                }
+
+                args = [
+                    filename,
+                    files[filename],
+                    files,
+                    metalsmith
+                ];
+
+                if (options.matchDetails) {
+                    args.push(matched.details[filename]);
+                }
+
+                return handleFailure(exports.callFunction(each, args, callOptions("each")).then((result) => {
+                    changes[filename] = {
+                        changes: result,
+                        file: args[1],
+                        filename
+                    };
+                }, (err) => {
+                    throw annotateError(err, `${pluginName} (each ${filename})`, {
+                        filename,
+                        phase: "each",
+                        plugin: options.name
+                    });
+                }));
+            }).then(() => {
+                var batches;
+
+                try {
+                    applyFileChanges(files, matched.filenames.filter((filename) => {
+                        return changes[filename];
+                    }).map((filename) => {
+                        return changes[filename];
+                    }), options.ifExists);
+                } catch (err) {
+                    throw annotateError(err, `${pluginName} (each)`, {
+                        filename: err.filename,
+                        phase: "each",
+                        plugin: options.name
+                    });
+                }
+
+                if (!options.eachBatch) {
+                    return null;
+                }
+
+                batches = batchItems(matched.filenames.filter((filename) => {
+                    return files[filename];
+                }).map((filename) => {
+                    return [
+                        filename,
+                        files[filename]
+                    ];
+                }), options.batchSize);
+
+                return mapLimit(batches, limit, (batch) => {
+                    return handleFailure(exports.callFunction(options.eachBatch, [
+                        batch,
+                        files,
+                        metalsmith
+                    ], callOptions("eachBatch")).catch((err) => {
+                        throw annotateError(err, `${pluginName} (eachBatch ${batches.indexOf(batch) + 1} of ${batches.length})`, {
+                            filenames: batch.map((pair) => {
+                                return pair[0];
+                            }),
+                            phase: "eachBatch",
+                            plugin: options.name
+                        });
+                    }));
+                });
+            }).then(() => {
+                if (failures.length) {
+                    throw aggregateErrors(failures, `${pluginName}: ${failures.length} file(s) failed:`);
+                }
+            });
+        }).then(() => {
+            return exports.callFunction(options.after, [
+                files,
+                metalsmith
+            ], callOptions("after")).catch((err) => {
+                throw annotateError(err, `${pluginName} (after)`, {
+                    phase: "after",
+                    plugin: options.name
+                });
+            });
+        }).then(done.bind(null), done);
+    };
+
+    if (options.name) {
+        exports.renameFunction(middlewareFn, options.name);
     }
 
-    match = match.map((singleMatch) => {
-        if (typeof singleMatch === "string") {
-            return micromatch.matcher(singleMatch, options);
-        }
+    return middlewareFn;
+};
+
+
+/**
+ * Moves every file that matches to a new filename. The destination is a
+ * template or a function. Templates replace `$&` with the original
+ * filename, `$1` through `$9` with the captures from the match and
+ * `$<name>` with a named group. See `filenameMatchDetails` for how captures
+ * are found. A template that refers to a capture or group that the pattern
+ * does not have throws an error. The same `ifExists` policies and
+ * separators as `renameFile` apply.
+ *
+ * Every new filename is worked out before anything moves and collisions
+ * are checked against the files that are staying, so files can shift into
+ * names that other files are leaving. When an error is thrown, no files
+ * are moved.
+ *
+ * @example
+ * // Moves "posts/2020-hello.md" to "2020/hello.md"
+ * pluginKit.moveFiles(files, "posts/*-*.md", "$1/$2.md");
+ *
+ * @example
+ * pluginKit.moveFiles(files, /^drafts\/(?<slug>.*)$/, (filename, file, details) => {
+ *     return `archive/${file.date.getFullYear()}/${details.groups.slug}`;
+ * }, {
+ *     ifExists: "suffix"
+ * });
+ *
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {(string|Function)} destination Template, or a function that is passed the filename, file and {@link module:metalsmith-plugin-kit~matchDetails} and returns the new filename.
+ * @param {Object} [options]
+ * @param {string} [options.ifExists=error] What to do when the new filename is in use. See `renameFile`.
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options.matchOptions={}]
+ * @param {string} [options.separator] Separator used in the new filenames. See `renameFile`.
+ * @return {Object.<string,string>} The original filenames of the files that moved and their new filenames.
+ * @throws {Error} when a new filename is in use and `ifExists` is "error". No files are moved.
+ */
+exports.moveFiles = (files, match, destination, options) => {
+    var matcher, moves;
+
+    options = exports.defaultOptions({
+        ifExists: "error",
+        matchOptions: {},
+        separator: path.sep
+    }, options);
+    matcher = exports.filenameMatchDetails(match, options.matchOptions);
+    moves = [];
+    Object.keys(files).forEach((filename) => {
+        var details, newFilename;
+
+        if (!files[filename]) {
+            return;
+        }
+
+        details = matcher(filename, files[filename]);
+
+        if (!details) {
+            return;
+        }
+
+        if (typeof destination === "function") {
+            newFilename = destination(filename, files[filename], details);
+        } else {
+            newFilename = expandDestination(destination, filename, details);
+        }
+
+        moves.push({
+            file: files[filename],
+            filename,
+            newFilename: normalizeSeparators(newFilename, options.separator)
+        });
+    });
+
+    return applyMoves(files, moves, options.ifExists);
+};
+
+
+/**
+ * The result of `parseFrontMatter`.
+ *
+ * @typedef {Object} frontMatterResult
+ * @property {string} body The contents after the front-matter.
+ * @property {Object} data The parsed front-matter. Empty when there is none.
+ * @property {(string|null)} format "json" or "yaml", or `null` when there is no front-matter.
+ * @see {@link module:metalsmith-plugin-kit.parseFrontMatter}
+ */
+
+
+/**
+ * Splits file contents into front-matter and a body. Front-matter starts
+ * with a line of `---` and ends with a line of `---` or `...`. It is YAML
+ * unless the first line names another format, such as `---json`. A byte
+ * order mark at the start of the contents is ignored.
+ *
+ * @example
+ * var result;
+ *
+ * result = pluginKit.parseFrontMatter(file.contents);
+ * console.log(result.data.title);
+ * file.contents = Buffer.from(result.body.replace(/fidian/g, "Fidian"), "utf8");
+ *
+ * // Writes the changed body with the same front-matter
+ * file.contents = Buffer.from(pluginKit.stringifyFrontMatter(result.data, result.body, {
+ *     format: result.format
+ * }), "utf8");
+ *
+ * @param {(Buffer|string)} contents
+ * @param {Object} [options]
+ * @param {string} [options.encoding=utf8] Used when the contents are a Buffer.
+ * @return {module:metalsmith-plugin-kit~frontMatterResult}
+ * @throws {Error} when the front-matter is invalid, is not an object or uses an unsupported format.
+ */
+exports.parseFrontMatter = (contents, options) => {
+    var format, match, text;
+
+    options = exports.defaultOptions({
+        encoding: "utf8"
+    }, options);
+
+    if (Buffer.isBuffer(contents)) {
+        text = contents.toString(options.encoding);
+    } else {
+        text = String(contents);
+    }
 
-        if (typeof singleMatch === "function") {
-            return singleMatch;
-        }
+    if (text.charAt(0) === "\ufeff") {
+        text = text.slice(1);
+    }
 
-        return singleMatch.test.bind(singleMatch);
-    });
+    match = text.match(/^---([a-z]*)[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
 
-    if (match.length === 1) {
-        return (item) => {
-            return match[0](item);
+    if (!match) {
+        return {
+            body: text,
+            data: {},
+            format: null
         };
     }
 
-    return (filename) => {
-        return match.some((singleMatch) => {
-            return singleMatch(filename);
-        });
+    format = match[1] || "yaml";
+
+    return {
+        body: text.slice(match[0].length),
+        data: parseFrontMatterData(format, match[2]),
+        format: format.replace("yml", "yaml")
     };
 };
 
 
 /**
- * Middleware defintion object.
+ * Converts a value into file contents for `addFile`.
  *
- * @typedef {Object} middlewareDefinition
- * @property {module:metalsmith-plugin-kit~endpointCallback} [after] Called after all files are processed.
- * @property {module:metalsmith-plugin-kit~endpointCallback} [before] Called before any files are processed.
- * @property {module:metalsmith-plugin-kit~eachCallback} [each] Called  once for each file that matches.
- * @property {module:metalsmith-plugin-kit~matchList} [match] Defaults to all files
- * @property {module:metalsmith-plugin-kit~matchOptions} [matchOptions={}]
- * @property {string} [name] When supplied, renames the middleware function that's returned to the given name. Useful for `metalsmith-debug-ui`, for instance.
- * @see {@link module:metalsmith-plugin-kit.middleware}
- * @see {@link https://github.com/leviwheatcroft/metalsmith-debug-ui)
+ * @callback serializer
+ * @param {*} value
+ * @param {Object} options The `formatOptions` given to `addFile`.
+ * @return {(Buffer|string)}
+ * @see {@link module:metalsmith-plugin-kit.registerSerializer}
  */
 
 
 /**
- * A callback that is called before processing any file or after processing
- * any file.
+ * Registers a serializer so `addFile` can write values in another format.
+ * A serializer that is already registered under the same format is
+ * replaced. The format is also used as a file extension unless other
+ * extensions are listed.
  *
- * Uses Node-style callbacks if your function expects more than 2 parameters.
+ * These formats are built in:
  *
- * @callback endpointCallback
- * @param {module:metalsmith-plugin-kit~metalsmithFiles} files
- * @param {external:metalsmith} metalsmith
- * @param {Function} [done]
- * @see {@link module:metalsmith-plugin-kit.callFunction}
- * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
+ * * "csv": An array of rows, where each row is an array of fields or an
+ *   object. Options are `columns`, `delimiter` (defaults to ",") and
+ *   `header` (defaults to `true`).
+ * * "json": Options are `indent`, which is passed to `JSON.stringify()`.
+ * * "ndjson": Newline-delimited JSON with one line per item in an array.
+ *   Also used for ".jsonl" files.
+ *
+ * @example
+ * var jsYaml;
+ *
+ * jsYaml = require("js-yaml");
+ * pluginKit.registerSerializer("yaml", (value, options) => {
+ *     return jsYaml.dump(value, options);
+ * }, {
+ *     extensions: [
+ *         "yaml",
+ *         "yml"
+ *     ]
+ * });
+ * pluginKit.addFile(files, "data.yml", {
+ *     hello: "world"
+ * });
+ *
+ * @example
+ * pluginKit.addFile(files, "report.json", report, {
+ *     formatOptions: {
+ *         indent: 4
+ *     }
+ * });
+ *
+ * @param {string} format
+ * @param {module:metalsmith-plugin-kit~serializer} serializer
+ * @param {Object} [options]
+ * @param {Array.<string>} [options.extensions] File extensions, without the leading period, that use this format. Defaults to the format.
  */
+exports.registerSerializer = (format, serializer, options) => {
+    options = exports.defaultOptions({
+        extensions: [
+            format
+        ]
+    }, options);
+    serializers[format] = serializer;
+    options.extensions.forEach((extension) => {
+        serializerFormats[extension.toLowerCase()] = format;
+    });
+};
 
 
 /**
- * This is the function that will be fired when a file matches your match
- * criteria. It will be executed once for each file. It also could run
- * concurrently with other functions when you are performing asynchronous
- * work.
+ * Removes a file from the collection.
  *
- * Uses Node-style callbacks if your function expects more than 4 parameters.
+ * @example
+ * pluginKit.removeFile(files, "drafts/unfinished.md");
  *
- * @callback eachCallback
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
  * @param {string} filename
- * @param {module:metalsmith-plugin-kit~metalsmithFile} file
- * @param {module:metalsmith-plugin-kit~metalsmithFiles} files
- * @param {external:metalsmith} metalsmith
- * @param {Function} [done]
- * @see {@link module:metalsmith-plugin-kit.callFunction}
- * @see {@link module:metalsmith-plugin-kit~middlewareDefinition}
+ * @return {(module:metalsmith-plugin-kit~metalsmithFile|null)} The file that was removed, or `null` when it did not exist.
  */
+exports.removeFile = (files, filename) => {
+    var file;
+
+    if (!Object.prototype.hasOwnProperty.call(files, filename)) {
+        return null;
+    }
+
+    file = files[filename];
+    delete files[filename];
+
+    return file;
+};
 
 
 /**
- * Return middleware function. This is why Plugin Kit was created. It helps
- * handle asynchronous tasks, eliminates the need for using your own
- * matcher and you no longer iterate through the files with `Object.keys()`.
- *
- * @example
- * var fileList;
- *
- * return pluginKit.middleware({
- *     after: (files) => {
- *         pluginKit.addFile(files, "all-files.json", fileList);
- *     },
- *     before: () => {
- *         fileList = [];
- *     },
- *     each: (filename) => {
- *         fileList.push(filename);
- *     }
- * });
- *
- * @example
- * // This silly plugin changes all instances of "fidian" to lower case
- * // in all text-like files.
- * return pluginKit.middleware({
- *     each: (filename, file) => {
- *         var contents;
+ * Renames a file in the collection. The same file object is kept, so all
+ * of its metadata stays with it. The first time a file is renamed, its
+ * original filename is saved as `originalPath`.
  *
- *         contents = file.contents.toString("utf8");
- *         contents = contents.replace(/fidian/ig, "fidian");
- *         file.contents = Buffer.from(contents, "utf8");
- *     },
- *     match: "*.{c,htm,html,js,json,md,txt}",
- *     matchOptions: {
- *         basename: true
- *     },
+ * When the new filename is already in use, `ifExists` decides what
+ * happens.
  *
- *     // Providing a name will rename this middleware so it can be displayed
- *     // by metalsmith-debug-ui and other tools.
- *     name: "metalsmith-lowercase-fidian"
- * });
+ * * "error": Throws an error with the code "EEXIST". This is the default.
+ * * "overwrite": Replaces the other file.
+ * * "skip": Leaves both files alone.
+ * * "suffix": Adds a number before the extension, such as "about-1.md",
+ *   using the first one that is not in use.
  *
  * @example
- * // Illustrates asynchronous processing.
- * return pluginKit.middleware({
- *     after: (files) => {
- *         // Promise-based. Delay 5 seconds when done building.
- *         return new Promise((resolve) => {
- *             setTimeout(() => {
- *                 console.log("I paused for 5 seconds");
- *                 resolve();
- *             }, 5000);
- *         });
- *     },
- *     before: (files, metalsmith, done) => {
- *         // Callback-based. Add a file to the build.
- *         fs.readFile("content.txt", (err, buffer) => {
- *             if (!err) {
- *                 pluginKit.addFile(files, "content.txt", buffer);
- *             }
- *             done(err);
- *         });
- *     }
- * });
+ * pluginKit.renameFile(files, "index.md", "index.html");
  *
- * @param {module:metalsmith-plugin-kit~middlewareDefinition} [options]
- * @return {Function} middleware function
+ * @param {module:metalsmith-plugin-kit~metalsmithFileCollection} files
+ * @param {string} filename
+ * @param {string} newFilename
+ * @param {Object} [options]
+ * @param {string} [options.ifExists=error]
+ * @param {string} [options.separator] Forward slashes and backslashes in the new filename are replaced with this, the same as `addFile` does. Defaults to `path.sep`. Set to `null` to keep the new filename as it was given.
+ * @return {(string|null)} The filename the file now uses, or `null` when it was skipped.
+ * @throws {Error} when the file does not exist, with the code "ENOENT", or when the new filename is in use and `ifExists` is "error".
  */
-exports.middleware = (options) => {
-    var matcher, middlewareFn;
+exports.renameFile = (files, filename, newFilename, options) => {
+    var file;
 
     options = exports.defaultOptions({
-        after: () => {},
-        before: () => {},
-        each: () => {},
-        match: "**/*",
-        matchOptions: {},
-        name: null
+        ifExists: "error",
+        separator: path.sep
     }, options);
-    matcher = exports.filenameMatcher(options.match, options.matchOptions);
-    middlewareFn = (files, metalsmith, done) => {
-        return exports.callFunction(options.before, [
-            files,
-            metalsmith
-        ]).then(() => {
-            var promises;
 
-            promises = Object.keys(files).filter((filename) => {
-                return matcher(filename);
-            }).map((filename) => {
-                // Files can be deleted before they get processed.
-                if (!files[filename]) {
-                    return null;
-                }
+    if (!files[filename]) {
+        throw fileError("File does not exist", "ENOENT", filename);
+    }
 
-                return exports.callFunction(options.each, [
-                    filename,
-                    files[filename],
-                    files,
-                    metalsmith
-                ]);
-            });
+    newFilename = normalizeSeparators(newFilename, options.separator);
 
-            return Promise.all(promises);
-        }).then(() => {
-            return exports.callFunction(options.after, [
-                files,
-                metalsmith
-            ]);
-        }).then(done.bind(null), done);
-    };
+    if (newFilename === filename) {
+        return filename;
+    }
 
-    if (options.name) {
-        exports.renameFunction(middlewareFn, options.name);
+    newFilename = resolveCollision(files, newFilename, options.ifExists);
+
+    if (newFilename === null) {
+        return null;
     }
 
-    return middlewareFn;
+    file = files[filename];
+
+    if (typeof file.originalPath !== "string") {
+        file.originalPath = filename;
+    }
+
+    delete files[filename];
+    files[newFilename] = file;
+
+    return newFilename;
 };
 
 
@@ -594,3 +3710,272 @@ exports.renameFunction = (fn, name) => {
         value: name
     });
 };
+
+
+/**
+ * Runs plugins against only the files that match. The plugins are chained
+ * together with `chain` and are given a files object that only contains the
+ * matching files. When they are done, any files they added, changed or
+ * deleted are merged back into the full collection.
+ *
+ * An options object can be passed before the plugins. Its `matchOptions`
+ * are used for matching, the same as they are for `middleware`.
+ *
+ * @example
+ * // Only render markdown that lives in the blog folder.
+ * metalsmith.use(pluginKit.scope("blog/**", markdown(), permalinks()));
+ *
+ * @example
+ * // Include dotfiles and ignore case.
+ * metalsmith.use(pluginKit.scope("*.md", {
+ *     matchOptions: {
+ *         basename: true,
+ *         dot: true,
+ *         nocase: true
+ *     }
+ * }, markdown()));
+ *
+ * @param {module:metalsmith-plugin-kit~matchList} match
+ * @param {Object} [options] Only used when it is a plain object instead of a plugin.
+ * @param {module:metalsmith-plugin-kit~matchOptions} [options.matchOptions={}]
+ * @param {Function} plugin... Plugins to run on the matching files
+ * @return {Function} Combined function
+ * @see {@link module:metalsmith-plugin-kit.chain}
+ * @see {@link module:metalsmith-plugin-kit.filenameMatcher}
+ */
+exports.scope = (match, ...plugins) => {
+    var chained, matcher, options, scoped;
+
+    if (isPlainObject(plugins[0])) {
+        options = plugins.shift();
+    }
+
+    options = exports.defaultOptions({
+        matchOptions: {}
+    }, options);
+    chained = exports.chain(...plugins);
+    matcher = exports.filenameMatcher(match, options.matchOptions);
+    scoped = (files, metalsmith, done) => {
+        var scopedFiles, scopedNames;
+
+        scopedFiles = {};
+        scopedNames = Object.keys(files).filter((filename) => {
+            return matcher(filename, files[filename]);
+        });
+        scopedNames.forEach((filename) => {
+            scopedFiles[filename] = files[filename];
+        });
+
+        return exports.callFunction(chained, [
+            scopedFiles,
+            metalsmith
+        ]).then(() => {
+            scopedNames.forEach((filename) => {
+                if (!Object.prototype.hasOwnProperty.call(scopedFiles, filename)) {
+                    delete files[filename];
+                }
+            });
+            Object.keys(scopedFiles).forEach((filename) => {
+                files[filename] = scopedFiles[filename];
+            });
+        }).then(() => {
+            done();
+        }, done);
+    };
+    exports.renameFunction(scoped, `scope(${chained.name})`);
+
+    return scoped;
+};
+
+
+/**
+ * One entry in an option schema. All properties are optional.
+ *
+ * Types are the names returned by `typeof`, plus "array", "buffer", "date",
+ * "null" and "regexp". Use "any" to skip the type check.
+ *
+ * @typedef {Object} optionSchemaEntry
+ * @property {*} [default] Used when the option is not supplied.
+ * @property {Array.<*>} [enum] List of allowed values.
+ * @property {number} [max] Largest allowed number.
+ * @property {number} [min] Smallest allowed number.
+ * @property {Object.<string,module:metalsmith-plugin-kit~optionSchemaEntry>} [properties] Schema for the keys of a nested object. The value must be a plain object. Missing nested objects are built from the defaults in this schema.
+ * @property {boolean} [required=false] Reports a problem when the option is not supplied.
+ * @property {(string|Array.<string>)} [type=any] Allowed type or types.
+ * @see {@link module:metalsmith-plugin-kit.validateOptions}
+ */
+
+
+/**
+ * Validates options against a declarative schema and applies defaults. Like
+ * `defaultOptions`, the result is a new object and values are cloned.
+ * Unlike `defaultOptions`, unknown keys, values of the wrong type, missing
+ * required options and values that are out of range are not silently
+ * ignored. Every problem is collected and one error is thrown that lists
+ * them all. The error has a `problems` property with the list. Unknown keys
+ * that are close to a known key include a suggestion.
+ *
+ * @example
+ * options = pluginKit.validateOptions({
+ *     match: {
+ *         default: "*.md",
+ *         type: ["string", "regexp", "function", "array"]
+ *     },
+ *     matchOptions: {
+ *         properties: {
+ *             dot: {
+ *                 default: false,
+ *                 type: "boolean"
+ *             }
+ *         }
+ *     },
+ *     retries: {
+ *         default: 3,
+ *         max: 10,
+ *         min: 0,
+ *         type: "number"
+ *     }
+ * }, {
+ *     matchOption: {},
+ *     retries: "5"
+ * });
+ *
+ * // Throws an error with this message:
+ * // Invalid options:
+ * //     * Unknown option "matchOption", did you mean "matchOptions"?
+ * //     * Option "retries" must be number, not string
+ *
+ * @param {Object.<string,module:metalsmith-plugin-kit~optionSchemaEntry>} schema
+ * @param {Object} [override]
+ * @return {Object}
+ * @throws {Error} when any option is invalid.
+ */
+exports.validateOptions = (schema, override) => {
+    var err, problems, result;
+
+    problems = [];
+    result = applyOptionSchema(schema, override, "", problems);
+
+    if (problems.length) {
+        err = new Error(`Invalid options:${problems.map((problem) => {
+            return `\n    * ${problem}`;
+        }).join("")}`);
+        err.code = "ERR_INVALID_OPTIONS";
+        err.problems = problems;
+        throw err;
+    }
+
+    return result;
+};
+
+
+/**
+ * Writes front-matter and a body as file contents, which can be read back
+ * with `parseFrontMatter`.
+ *
+ * @example
+ * text = pluginKit.stringifyFrontMatter({
+ *     title: "About"
+ * }, "About this site");
+ * // ---
+ * // title: About
+ * // ---
+ * // About this site
+ *
+ * @param {Object} data
+ * @param {(Buffer|string)} [body=""]
+ * @param {Object} [options]
+ * @param {string} [options.encoding=utf8] Used when the body is a Buffer.
+ * @param {string} [options.format=yaml] Either "yaml" or "json".
+ * @param {number} [options.indent=2]
+ * @return {string}
+ * @throws {Error} when the format is not supported.
+ */
+exports.stringifyFrontMatter = (data, body, options) => {
+    var header;
+
+    options = exports.defaultOptions({
+        encoding: "utf8",
+        format: "yaml",
+        indent: 2
+    }, options);
+
+    if (Buffer.isBuffer(body)) {
+        body = body.toString(options.encoding);
+    }
+
+    if (options.format === "json") {
+        header = `---json\n${JSON.stringify(data, null, options.indent)}\n---\n`;
+    } else if (options.format === "yaml" || options.format === "yml") {
+        header = `---\n${jsYaml.dump(data, {
+            indent: options.indent,
+            skipInvalid: true
+        })}---\n`;
+    } else {
+        throw new Error(`Unsupported front-matter format: ${options.format}`);
+    }
+
+    return header + (body || "");
+};
+
+
+/**
+ * Runs plugins only when a condition is met. The predicate is passed the
+ * files and the Metalsmith object and, like other callbacks, may be
+ * synchronous, return a Promise or accept a Node-style callback. Values that
+ * are not functions are used directly. The plugins are chained together with
+ * `chain`.
+ *
+ * @example
+ * metalsmith.use(pluginKit.when(() => {
+ *     return process.env.NODE_ENV === "production";
+ * }, minify(), sitemap()));
+ *
+ * @param {(Function|*)} predicate
+ * @param {Function} plugin... Plugins to run when the predicate is truthy
+ * @return {Function} Combined function
+ * @see {@link module:metalsmith-plugin-kit.callFunction}
+ * @see {@link module:metalsmith-plugin-kit.chain}
+ */
+exports.when = (predicate, ...plugins) => {
+    var chained, conditional;
+
+    chained = exports.chain(...plugins);
+    conditional = (files, metalsmith, done) => {
+        var check;
+
+        if (typeof predicate === "function") {
+            check = exports.callFunction(predicate, [
+                files,
+                metalsmith
+            ]);
+        } else {
+            check = Promise.resolve(predicate);
+        }
+
+        return check.then((result) => {
+            if (!result) {
+                return null;
+            }
+
+            return exports.callFunction(chained, [
+                files,
+                metalsmith
+            ]);
+        }).then(() => {
+            done();
+        }, done);
+    };
+    exports.renameFunction(conditional, `when(${chained.name})`);
+
+    return conditional;
+};
+
+exports.registerSerializer("csv", serializeCsv);
+exports.registerSerializer("json", serializeJson);
+exports.registerSerializer("ndjson", serializeNdjson, {
+    extensions: [
+        "jsonl",
+        "ndjson"
+    ]
+});
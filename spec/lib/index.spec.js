@@ -1,9 +1,29 @@
 "use strict";
 
-var pluginKit;
+var path, pluginKit;
 
+path = require("path");
 pluginKit = require("../..");
 describe("metalsmith-plugin-kit", () => {
+    /**
+     * Runs a Metalsmith plugin and converts the callback into a Promise.
+     *
+     * @param {Function} plugin
+     * @param {Object} files
+     * @return {Promise.<*>}
+     */
+    function runPlugin(plugin, files) {
+        return new Promise((resolve, reject) => {
+            plugin(files, {}, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
     describe(".addFile()", () => {
         it("adds a file", () => {
             var buff, files;
@@ -38,6 +58,300 @@ describe("metalsmith-plugin-kit", () => {
             pluginKit.addFile(files, "test", "two");
             expect(files.test.contents.toString("utf8")).toEqual("two");
         });
+        it("writes filenames with the platform separator", () => {
+            var files;
+
+            files = {};
+            pluginKit.addFile(files, "a\\b/c.txt", "content");
+            expect(Object.keys(files)).toEqual([
+                path.join("a", "b", "c.txt")
+            ]);
+        });
+        it("writes filenames with a specified separator", () => {
+            var files;
+
+            files = {};
+            pluginKit.addFile(files, "a/b\\c.txt", "content", {
+                separator: "\\"
+            });
+            pluginKit.addFile(files, "d\\e.txt", "content", {
+                separator: "/"
+            });
+            expect(Object.keys(files)).toEqual([
+                "a\\b\\c.txt",
+                "d/e.txt"
+            ]);
+        });
+        it("can keep filenames as given", () => {
+            var files;
+
+            files = {};
+            pluginKit.addFile(files, "a/b\\c.txt", "content", {
+                separator: null
+            });
+            expect(Object.keys(files)).toEqual([
+                "a/b\\c.txt"
+            ]);
+        });
+        it("returns the filename", () => {
+            expect(pluginKit.addFile({}, "test", "content", {
+                separator: "/"
+            })).toBe("test");
+        });
+        describe("ifExists", () => {
+            var files, original;
+
+            beforeEach(() => {
+                original = {
+                    contents: Buffer.from("old", "utf8"),
+                    mode: "0600",
+                    title: "Old"
+                };
+                files = {
+                    "test.txt": original
+                };
+            });
+            it("overwrites by default", () => {
+                pluginKit.addFile(files, "test.txt", "new");
+                expect(files["test.txt"]).not.toBe(original);
+                expect(files["test.txt"].title).not.toBeDefined();
+            });
+            it("merges", () => {
+                pluginKit.addFile(files, "test.txt", "new", {
+                    ifExists: "merge",
+                    metadata: {
+                        draft: true
+                    }
+                });
+                expect(files["test.txt"]).toBe(original);
+                expect(original.contents.toString("utf8")).toBe("new");
+                expect(original.mode).toBe("0600");
+                expect(original.title).toBe("Old");
+                expect(original.draft).toBe(true);
+            });
+            it("merges with a new mode", () => {
+                pluginKit.addFile(files, "test.txt", "new", {
+                    ifExists: "merge",
+                    mode: "0755"
+                });
+                expect(original.mode).toBe("0755");
+            });
+            it("updates existing stats when merging", () => {
+                var stats;
+
+                stats = {
+                    mtime: new Date(0),
+                    size: 3
+                };
+                original.stats = stats;
+                pluginKit.addFile(files, "test.txt", "longer", {
+                    ifExists: "merge"
+                });
+                expect(original.stats).toBe(stats);
+                expect(stats.size).toBe(6);
+                expect(stats.mtime.getTime()).toBeGreaterThan(0);
+                pluginKit.addFile(files, "test.txt", "new", {
+                    ifExists: "merge",
+                    stats: true
+                });
+                expect(original.stats).not.toBe(stats);
+                expect(original.stats.size).toBe(3);
+                expect(original.stats.mode).toBe(0o600);
+            });
+            it("skips", () => {
+                expect(pluginKit.addFile(files, "test.txt", "new", {
+                    ifExists: "skip"
+                })).toBe(null);
+                expect(files["test.txt"]).toBe(original);
+                expect(original.contents.toString("utf8")).toBe("old");
+            });
+            it("adds a suffix", () => {
+                expect(pluginKit.addFile(files, "test.txt", "new", {
+                    ifExists: "suffix"
+                })).toBe("test-1.txt");
+                expect(files["test-1.txt"].contents.toString("utf8")).toBe("new");
+            });
+            it("throws errors", () => {
+                expect(() => {
+                    pluginKit.addFile(files, "test.txt", "new", {
+                        ifExists: "error"
+                    });
+                }).toThrowError("File already exists: test.txt");
+                expect(pluginKit.addFile(files, "other.txt", "new", {
+                    ifExists: "error"
+                })).toBe("other.txt");
+            });
+        });
+        it("adds metadata", () => {
+            var files, metadata;
+
+            files = {};
+            metadata = {
+                tags: ["a"],
+                title: "Title"
+            };
+            pluginKit.addFile(files, "test", "content", {
+                metadata
+            });
+            expect(files.test.title).toBe("Title");
+            expect(files.test.tags).toEqual(["a"]);
+            expect(files.test.tags).not.toBe(metadata.tags);
+            expect(files.test.contents.toString("utf8")).toBe("content");
+            expect(files.test.stats).not.toBeDefined();
+        });
+        it("writes front-matter", () => {
+            var files;
+
+            files = {};
+            pluginKit.addFile(files, "a.md", "Body", {
+                frontMatter: {
+                    title: "A"
+                },
+                metadata: {
+                    title: "A"
+                }
+            });
+            pluginKit.addFile(files, "b.md", Buffer.from("Body", "utf8"), {
+                frontMatter: {
+                    title: "B"
+                },
+                frontMatterOptions: {
+                    format: "json"
+                }
+            });
+            expect(files["a.md"].contents.toString("utf8")).toBe("---\ntitle: A\n---\nBody");
+            expect(files["a.md"].title).toBe("A");
+            expect(pluginKit.parseFrontMatter(files["b.md"].contents)).toEqual({
+                body: "Body",
+                data: {
+                    title: "B"
+                },
+                format: "json"
+            });
+        });
+        it("creates stats", () => {
+            var files, stats;
+
+            files = {};
+            pluginKit.addFile(files, "a", "content", {
+                mode: "0755",
+                stats: true
+            });
+            pluginKit.addFile(files, "b", "content", {
+                stats: {
+                    size: 100
+                }
+            });
+            stats = files.a.stats;
+            expect(stats.size).toBe(7);
+            expect(stats.mode).toBe(0o755);
+            expect(stats.mtime).toEqual(jasmine.any(Date));
+            expect(stats.isFile()).toBe(true);
+            expect(stats.isDirectory()).toBe(false);
+            expect(files.b.stats.size).toBe(100);
+            expect(files.b.stats.mode).toBe(0o644);
+        });
+        describe("formats", () => {
+            var files;
+
+            /**
+             * Adds a file and returns its contents as a string.
+             *
+             * @param {string} filename
+             * @param {*} contents
+             * @param {Object} [options]
+             * @return {string}
+             */
+            function serialize(filename, contents, options) {
+                filename = pluginKit.addFile(files, filename, contents, options);
+
+                return files[filename].contents.toString("utf8");
+            }
+
+            beforeEach(() => {
+                files = {};
+            });
+            it("writes compact JSON by default", () => {
+                expect(serialize("a.json", {
+                    a: [1]
+                })).toBe("{\"a\":[1]}");
+                expect(serialize("a.unknown", {
+                    a: 1
+                })).toBe("{\"a\":1}");
+            });
+            it("indents JSON", () => {
+                expect(serialize("a.JSON", {
+                    a: 1
+                }, {
+                    formatOptions: {
+                        indent: 2
+                    }
+                })).toBe("{\n  \"a\": 1\n}");
+            });
+            it("writes NDJSON", () => {
+                expect(serialize("a.jsonl", [{
+                    a: 1
+                }, "b"])).toBe("{\"a\":1}\n\"b\"\n");
+                expect(serialize("b.txt", {
+                    a: 1
+                }, {
+                    format: "ndjson"
+                })).toBe("{\"a\":1}\n");
+            });
+            it("writes CSV from objects", () => {
+                expect(serialize("a.csv", [
+                    {
+                        name: "Plain",
+                        value: 1
+                    },
+                    {
+                        extra: {
+                            x: true
+                        },
+                        name: "Needs, \"quotes\"",
+                        value: null
+                    },
+                    {
+                        name: " padded",
+                        value: new Date(0)
+                    }
+                ])).toBe([
+                    "name,value,extra",
+                    "Plain,1,",
+                    "\"Needs, \"\"quotes\"\"\",,\"{\"\"x\"\":true}\"",
+                    "\" padded\",1970-01-01T00:00:00.000Z,",
+                    ""
+                ].join("\r\n"));
+            });
+            it("writes CSV with options", () => {
+                expect(serialize("a.txt", [
+                    {
+                        a: 1,
+                        b: "x;y"
+                    },
+                    ["c", "d"]
+                ], {
+                    format: "csv",
+                    formatOptions: {
+                        columns: ["b", "a"],
+                        delimiter: ";",
+                        header: false
+                    }
+                })).toBe("\"x;y\";1\r\nc;d\r\n");
+            });
+            it("does not serialize strings and buffers", () => {
+                expect(serialize("a.csv", "a,b", {
+                    format: "json"
+                })).toBe("a,b");
+            });
+            it("throws for unknown formats", () => {
+                expect(() => {
+                    serialize("a.txt", {}, {
+                        format: "missing"
+                    });
+                }).toThrowError("No serializer is registered for the format: missing");
+            });
+        });
         it("sets the mode", () => {
             var files;
 
@@ -161,19 +475,266 @@ describe("metalsmith-plugin-kit", () => {
                 });
             });
         });
+        describe("options", () => {
+            /**
+             * Callback function that never calls its callback.
+             *
+             * @param {Function} done
+             * @return {*} Ignore this value
+             */
+            function neverFinishes(done) {
+                return done;
+            }
+
+            /**
+             * Minimal stand-in for an AbortController's signal, which is
+             * not available in every supported version of Node.js.
+             *
+             * @return {Object}
+             */
+            function fakeSignal() {
+                var listeners, signal;
+
+                listeners = [];
+                signal = {
+                    abort: (reason) => {
+                        signal.aborted = true;
+                        signal.reason = reason;
+                        listeners.forEach((listener) => {
+                            listener();
+                        });
+                    },
+                    aborted: false,
+                    addEventListener: (type, listener) => {
+                        listeners.push(listener);
+                    },
+                    removeEventListener: (type, listener) => {
+                        listeners = listeners.filter((item) => {
+                            return item !== listener;
+                        });
+                    }
+                };
+
+                return signal;
+            }
+
+            it("rejects when the timeout elapses", () => {
+                return pluginKit
+                    .callFunction(neverFinishes, [], {
+                        timeout: 20
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.name).toBe("TimeoutError");
+                        expect(err.code).toBe("ETIMEDOUT");
+                        expect(err.message).toBe("Call to neverFinishes did not finish within 20 ms");
+                    });
+            });
+            it("resolves before the timeout elapses", () => {
+                return pluginKit
+                    .callFunction(promiseTest, ["ok"], {
+                        timeout: 1000
+                    })
+                    .then((result) => {
+                        expect(result).toEqual(["ok"]);
+                    });
+            });
+            it("passes along rejections before the timeout elapses", () => {
+                return pluginKit
+                    .callFunction(promiseTest, [false], {
+                        timeout: 1000
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.message).toBe("This needs to fail for the test");
+                    });
+            });
+            it("rejects when the signal is aborted", () => {
+                var promise, signal;
+
+                signal = fakeSignal();
+                promise = pluginKit.callFunction(neverFinishes, [], {
+                    signal
+                });
+                signal.abort("stop");
+
+                return promise.then(jasmine.fail, (err) => {
+                    expect(err.name).toBe("AbortError");
+                    expect(err.code).toBe("ABORT_ERR");
+                    expect(err.cause).toBe("stop");
+                });
+            });
+            it("does not call the function when already aborted", () => {
+                var called, signal;
+
+                called = false;
+                signal = fakeSignal();
+                signal.abort();
+
+                return pluginKit
+                    .callFunction(() => {
+                        called = true;
+                    }, [], {
+                        signal
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.name).toBe("AbortError");
+                        expect(called).toBe(false);
+                    });
+            });
+        });
+        describe("style", () => {
+            it("forces a callback", () => {
+                return pluginKit
+                    .callFunction((...args) => {
+                        args.pop()(null, args);
+                    }, [1, 2], {
+                        style: "callback"
+                    })
+                    .then((result) => {
+                        expect(result).toEqual([1, 2]);
+                    });
+            });
+            it("forces a return value", () => {
+                return pluginKit
+                    .callFunction((a, b, c) => {
+                        return [a, typeof b, typeof c];
+                    }, [1], {
+                        style: "sync"
+                    })
+                    .then((result) => {
+                        expect(result).toEqual([1, "undefined", "undefined"]);
+                    });
+            });
+        });
+        describe("strict", () => {
+            beforeEach(() => {
+                spyOn(process, "emitWarning");
+            });
+            it("rejects default parameters", () => {
+                return pluginKit
+                    .callFunction(function defaults(a, b = 1) {
+                        return a + b;
+                    }, [1], {
+                        strict: true
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.name).toBe("CallbackMisuseError");
+                        expect(err.code).toBe("ERR_CALLBACK_MISUSE");
+                        expect(err.message).toBe("defaults has default parameters, so it is unclear if it accepts a callback");
+                    });
+            });
+            it("rejects rest parameters", () => {
+                return pluginKit
+                    .callFunction((...args) => {
+                        return args;
+                    }, [1], {
+                        strict: true
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.message).toContain("uses rest parameters");
+                    });
+            });
+            it("rejects too many parameters", () => {
+                return pluginKit
+                    .callFunction((a, b, c) => {
+                        return [a, b, c];
+                    }, [1], {
+                        strict: true
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.message).toContain("expects 3 parameters but is passed 1 arguments and a callback");
+                    });
+            });
+            it("allows comparisons in default values when style is set", () => {
+                return pluginKit
+                    .callFunction((a, b = a >= 1) => {
+                        return b;
+                    }, [1], {
+                        strict: true,
+                        style: "sync"
+                    })
+                    .then((result) => {
+                        expect(result).toBe(true);
+                    });
+            });
+            it("reports a callback that is called twice", () => {
+                return pluginKit
+                    .callFunction((done) => {
+                        done(null, "first");
+                        done(null, "second");
+                    }, [], {
+                        strict: true
+                    })
+                    .then((result) => {
+                        expect(result).toBe("first");
+                        expect(process.emitWarning).toHaveBeenCalledWith(jasmine.objectContaining({
+                            message: "anonymous function called its callback more than once"
+                        }));
+                    });
+            });
+            it("ignores a callback that is called twice when not strict", () => {
+                return pluginKit
+                    .callFunction((done) => {
+                        done(null, "first");
+                        done(null, "second");
+                    }, [])
+                    .then((result) => {
+                        expect(result).toBe("first");
+                        expect(process.emitWarning).not.toHaveBeenCalled();
+                    });
+            });
+            it("rejects a callback function that returns a Promise", () => {
+                return pluginKit
+                    .callFunction((done) => {
+                        setTimeout(done, 10);
+
+                        return Promise.resolve();
+                    }, [], {
+                        strict: true
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.message).toContain("accepts a callback and also returned a Promise");
+                    });
+            });
+            it("rejects a sync function that returns a Promise", () => {
+                return pluginKit
+                    .callFunction(() => {
+                        return Promise.resolve();
+                    }, [], {
+                        strict: true,
+                        style: "sync"
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.message).toContain("returned a Promise but was called as a synchronous function");
+                    });
+            });
+            it("rejects a promise function that does not return a Promise", () => {
+                return pluginKit
+                    .callFunction(() => {}, [], {
+                        strict: true,
+                        style: "promise"
+                    })
+                    .then(jasmine.fail, (err) => {
+                        expect(err.message).toContain("did not return a Promise");
+                    });
+            });
+            it("accepts well behaved functions", () => {
+                return pluginKit
+                    .callFunction(callbackTest, [1, 2, 3, 4, 5], {
+                        strict: true
+                    })
+                    .then((result) => {
+                        expect(result).toEqual([1, 2, 3, 4, 5]);
+                    });
+            });
+        });
     });
     describe(".chain()", () => {
         it("works with zero plugins", () => {
             const plugin = pluginKit.chain();
-            let complete;
 
             expect(typeof plugin).toBe("function");
-            complete = false;
-            plugin({}, {}, (e) => {
-                expect(e).toBeFalsy();
-                complete = true;
-            });
-            expect(complete).toBe(true);
+
+            return runPlugin(plugin, {});
         });
         it("works with plugins", () => {
             const files = {},
@@ -186,14 +747,166 @@ describe("metalsmith-plugin-kit", () => {
                     n();
                 },
                 plugin = pluginKit.chain(p1, p2);
-            var complete;
 
-            complete = false;
-            plugin(files, {}, (e) => {
-                expect(e).toBeFalsy();
-                complete = true;
+            return runPlugin(plugin, files).then(() => {
+                expect(files).toEqual({
+                    one: true,
+                    two: true
+                });
+            });
+        });
+        it("runs sync, Promise and callback plugins in order", () => {
+            var files, plugin;
+
+            files = {
+                order: []
+            };
+            plugin = pluginKit.chain((f) => {
+                f.order.push("sync");
+            }, (f) => {
+                return new Promise((resolve) => {
+                    setTimeout(() => {
+                        f.order.push("promise");
+                        resolve();
+                    }, 10);
+                });
+            }, (f, m, done) => {
+                f.order.push("callback");
+                done();
+            });
+
+            return runPlugin(plugin, files).then(() => {
+                expect(files.order).toEqual(["sync", "promise", "callback"]);
+            });
+        });
+        it("is named after its members", () => {
+            var plugin;
+
+            /**
+             * A named plugin.
+             */
+            function markdown() {}
+
+            plugin = pluginKit.chain(markdown, () => {});
+            expect(plugin.name).toBe("chain(markdown, anonymous)");
+        });
+        it("catches thrown errors and names the failing step", () => {
+            var original, ran;
+
+            /**
+             * Plugin that throws.
+             *
+             * @throws {Error}
+             */
+            function broken() {
+                throw original;
+            }
+
+            original = new Error("broken plugin");
+            ran = false;
+
+            return runPlugin(pluginKit.chain(() => {}, broken, () => {
+                ran = true;
+            }), {}).then(jasmine.fail, (err) => {
+                expect(err.message).toBe("chain(anonymous, broken, anonymous) (step 2, broken): broken plugin");
+                expect(err.step).toBe(2);
+                expect(err.stepName).toBe("broken");
+                expect(err.cause).toBe(original);
+                expect(ran).toBe(false);
+            });
+        });
+        it("passes along callback errors", () => {
+            return runPlugin(pluginKit.chain((f, m, done) => {
+                done(new Error("callback error"));
+            }), {}).then(jasmine.fail, (err) => {
+                expect(err.step).toBe(1);
+                expect(err.cause.message).toBe("callback error");
+            });
+        });
+        describe("editing", () => {
+            var original;
+
+            /**
+             * Creates a plugin with a given name that records that it ran.
+             *
+             * @param {string} name
+             * @return {Function}
+             */
+            function step(name) {
+                var fn;
+
+                fn = (f) => {
+                    f.order.push(name);
+                };
+                pluginKit.renameFunction(fn, name);
+
+                return fn;
+            }
+
+            /**
+             * Runs a chain and returns the order the steps ran.
+             *
+             * @param {Function} plugin
+             * @return {Promise.<Array.<string>>}
+             */
+            function order(plugin) {
+                var files;
+
+                files = {
+                    order: []
+                };
+
+                return runPlugin(plugin, files).then(() => {
+                    return files.order;
+                });
+            }
+
+            beforeEach(() => {
+                original = pluginKit.chain(step("one"), step("two"), step("three"));
+            });
+            it("lists its steps", () => {
+                expect(original.steps.map((item) => {
+                    return item.name;
+                })).toEqual(["one", "two", "three"]);
+                expect(typeof original.steps[0].plugin).toBe("function");
+            });
+            it("inserts before a step", () => {
+                return order(original.insertBefore("two", step("a"), step("b"))).then((result) => {
+                    expect(result).toEqual(["one", "a", "b", "two", "three"]);
+                });
+            });
+            it("inserts after a step", () => {
+                return order(original.insertAfter("three", step("a"))).then((result) => {
+                    expect(result).toEqual(["one", "two", "three", "a"]);
+                });
+            });
+            it("replaces a step", () => {
+                return order(original.replace("one", step("a"))).then((result) => {
+                    expect(result).toEqual(["a", "two", "three"]);
+                });
+            });
+            it("removes a step", () => {
+                return order(original.remove("two")).then((result) => {
+                    expect(result).toEqual(["one", "three"]);
+                });
+            });
+            it("returns new chains and leaves the original alone", () => {
+                var edited;
+
+                edited = original.remove("two");
+                expect(edited).not.toBe(original);
+                expect(edited.name).toBe("chain(one, three)");
+                expect(original.name).toBe("chain(one, two, three)");
+
+                return order(original).then((result) => {
+                    expect(result).toEqual(["one", "two", "three"]);
+                });
+            });
+            it("throws when the step does not exist", () => {
+                expect(() => {
+                    original.remove("four");
+                }).toThrowError("chain(one, two, three) does not have a step named \"four\"");
             });
-            expect(complete).toBe(true);
         });
     });
     describe(".clone()", () => {
@@ -229,54 +942,285 @@ describe("metalsmith-plugin-kit", () => {
         it("copies null", () => {
             expect(pluginKit.clone(null)).toEqual(null);
         });
-    });
-    describe(".defaultOptions()", () => {
-        it("overwrites the default value", () => {
-            expect(
-                pluginKit.defaultOptions(
-                    {
-                        a: "default",
-                        a2: "default"
-                    },
-                    {
-                        a: "new value"
-                    }
-                )
-            ).toEqual({
-                a: "new value",
-                a2: "default"
-            });
+        it("copies Buffers", () => {
+            var clone, original;
+
+            original = Buffer.from("buffer", "utf8");
+            clone = pluginKit.clone(original);
+            expect(Buffer.isBuffer(clone)).toBe(true);
+            expect(clone).not.toBe(original);
+            expect(clone.toString("utf8")).toBe("buffer");
+            original[0] = 0;
+            expect(clone.toString("utf8")).toBe("buffer");
         });
-        it("replaces object values", () => {
-            expect(
-                pluginKit.defaultOptions(
-                    {
-                        b: {
-                            note: "This whole object is REPLACED"
-                        },
-                        b2: {
-                            note: "Not replaced"
-                        }
-                    },
-                    {
-                        b: {
-                            c: "new value"
-                        }
-                    }
-                )
-            ).toEqual({
-                b: {
-                    c: "new value"
-                },
-                b2: {
-                    note: "Not replaced"
-                }
+        it("copies Dates", () => {
+            var clone, original;
+
+            original = new Date(1000);
+            clone = pluginKit.clone(original);
+            expect(clone instanceof Date).toBe(true);
+            expect(clone).not.toBe(original);
+            expect(clone.getTime()).toBe(1000);
+        });
+        it("copies Maps and Sets", () => {
+            var clone, key, original;
+
+            key = {};
+            original = {
+                map: new Map([[key, {
+                    value: 1
+                }]]),
+                set: new Set([{
+                    value: 2
+                }])
+            };
+            clone = pluginKit.clone(original);
+            expect(clone.map instanceof Map).toBe(true);
+            expect(clone.map).not.toBe(original.map);
+            expect(clone.map.get(key)).toEqual({
+                value: 1
             });
+            expect(clone.map.get(key)).not.toBe(original.map.get(key));
+            expect(clone.set instanceof Set).toBe(true);
+            expect(Array.from(clone.set)).toEqual([{
+                value: 2
+            }]);
+            expect(Array.from(clone.set)[0]).not.toBe(Array.from(original.set)[0]);
         });
-        it("ignores overrides that are not in the defaults", () => {
-            expect(
-                pluginKit.defaultOptions(
-                    {
+        it("copies typed arrays and ArrayBuffers", () => {
+            var clone, original;
+
+            original = {
+                buffer: new ArrayBuffer(4),
+                floats: new Float32Array([1.5, 2.5]),
+                view: new DataView(new ArrayBuffer(2))
+            };
+            original.view.setUint8(1, 7);
+            clone = pluginKit.clone(original);
+            expect(clone.floats instanceof Float32Array).toBe(true);
+            expect(clone.floats).not.toBe(original.floats);
+            expect(Array.from(clone.floats)).toEqual([1.5, 2.5]);
+            expect(clone.buffer instanceof ArrayBuffer).toBe(true);
+            expect(clone.buffer).not.toBe(original.buffer);
+            expect(clone.buffer.byteLength).toBe(4);
+            expect(clone.view.getUint8(1)).toBe(7);
+            expect(clone.view.buffer).not.toBe(original.view.buffer);
+        });
+        it("handles circular references", () => {
+            var clone, original;
+
+            original = {
+                list: []
+            };
+            original.self = original;
+            original.list.push(original.list, original);
+            clone = pluginKit.clone(original);
+            expect(clone).not.toBe(original);
+            expect(clone.self).toBe(clone);
+            expect(clone.list[0]).toBe(clone.list);
+            expect(clone.list[1]).toBe(clone);
+        });
+        describe("class instances", () => {
+            /**
+             * Sample class.
+             */
+            class Point {
+                /**
+                 * Sets the coordinates.
+                 *
+                 * @param {number} x
+                 * @param {number} y
+                 */
+                constructor(x, y) {
+                    this.x = x;
+                    this.y = y;
+                }
+            }
+
+            it("copies into plain objects by default", () => {
+                var clone;
+
+                clone = pluginKit.clone(new Point(1, 2));
+                expect(clone instanceof Point).toBe(false);
+                expect(clone).toEqual({
+                    x: 1,
+                    y: 2
+                });
+            });
+            it("keeps prototypes", () => {
+                var clone, original;
+
+                original = new Point(1, 2);
+                clone = pluginKit.clone(original, {
+                    classInstances: "prototype"
+                });
+                expect(clone instanceof Point).toBe(true);
+                expect(clone).not.toBe(original);
+                expect(clone.x).toBe(1);
+                expect(clone.y).toBe(2);
+            });
+            it("shares instances by reference", () => {
+                var clone, original;
+
+                original = {
+                    point: new Point(1, 2)
+                };
+                clone = pluginKit.clone(original, {
+                    classInstances: "reference"
+                });
+                expect(clone).not.toBe(original);
+                expect(clone.point).toBe(original.point);
+            });
+        });
+    });
+    describe(".coerceMatchList()", () => {
+        it("converts RegExp literals", () => {
+            var result;
+
+            result = pluginKit.coerceMatchList("/\\.MD$/i");
+            expect(result instanceof RegExp).toBe(true);
+            expect(result.source).toBe("\\.MD$");
+            expect(result.flags).toBe("i");
+        });
+        it("converts items in arrays", () => {
+            var result;
+
+            result = pluginKit.coerceMatchList(["*.md", "/^a/"]);
+            expect(result[0]).toBe("*.md");
+            expect(result[1]).toEqual(/^a/);
+        });
+        it("leaves other values alone", () => {
+            var fn, obj;
+
+            fn = () => {};
+            obj = {
+                metadata: {}
+            };
+            expect(pluginKit.coerceMatchList("posts/**")).toBe("posts/**");
+            expect(pluginKit.coerceMatchList("/a/[")).toBe("/a/[");
+            expect(pluginKit.coerceMatchList(fn)).toBe(fn);
+            expect(pluginKit.coerceMatchList(obj)).toBe(obj);
+        });
+    });
+    describe(".coerceOptions()", () => {
+        it("converts values by type", () => {
+            var result;
+
+            result = pluginKit.coerceOptions({
+                flag: "false",
+                limit: "10",
+                match: ["/x/", "*.md"],
+                pattern: "/y/g",
+                untouched: "10"
+            }, {
+                flag: "boolean",
+                limit: "number",
+                match: "matchList",
+                pattern: "regexp"
+            });
+            expect(result).toEqual({
+                flag: false,
+                limit: 10,
+                match: [/x/, "*.md"],
+                pattern: /y/g,
+                untouched: "10"
+            });
+        });
+        it("leaves values that do not convert", () => {
+            expect(pluginKit.coerceOptions({
+                flag: "yes",
+                limit: "ten",
+                pattern: "plain",
+                spaces: " "
+            }, {
+                flag: "boolean",
+                limit: "number",
+                pattern: "regexp",
+                spaces: "number"
+            })).toEqual({
+                flag: "yes",
+                limit: "ten",
+                pattern: "plain",
+                spaces: " "
+            });
+        });
+        it("converts nested objects", () => {
+            expect(pluginKit.coerceOptions({
+                matchOptions: {
+                    dot: "true"
+                }
+            }, {
+                matchOptions: {
+                    dot: "boolean"
+                }
+            })).toEqual({
+                matchOptions: {
+                    dot: true
+                }
+            });
+        });
+        it("does not modify the original", () => {
+            var original;
+
+            original = {
+                limit: "1"
+            };
+            pluginKit.coerceOptions(original, {
+                limit: "number"
+            });
+            expect(original.limit).toBe("1");
+        });
+        it("returns values that are not objects", () => {
+            expect(pluginKit.coerceOptions(null, {})).toBe(null);
+        });
+    });
+    describe(".defaultOptions()", () => {
+        it("overwrites the default value", () => {
+            expect(
+                pluginKit.defaultOptions(
+                    {
+                        a: "default",
+                        a2: "default"
+                    },
+                    {
+                        a: "new value"
+                    }
+                )
+            ).toEqual({
+                a: "new value",
+                a2: "default"
+            });
+        });
+        it("replaces object values", () => {
+            expect(
+                pluginKit.defaultOptions(
+                    {
+                        b: {
+                            note: "This whole object is REPLACED"
+                        },
+                        b2: {
+                            note: "Not replaced"
+                        }
+                    },
+                    {
+                        b: {
+                            c: "new value"
+                        }
+                    }
+                )
+            ).toEqual({
+                b: {
+                    c: "new value"
+                },
+                b2: {
+                    note: "Not replaced"
+                }
+            });
+        });
+        it("ignores overrides that are not in the defaults", () => {
+            expect(
+                pluginKit.defaultOptions(
+                    {
                         c: "keep this value"
                     },
                     {
@@ -302,6 +1246,152 @@ describe("metalsmith-plugin-kit", () => {
             expect(result.a).not.toBe(defaults.a);
             expect(result.a.b).not.toBe(defaults.a.b);
         });
+        describe("deep", () => {
+            var defaults;
+
+            beforeEach(() => {
+                defaults = {
+                    list: ["default"],
+                    nested: {
+                        a: "default",
+                        b: "default",
+                        deeper: {
+                            c: "default"
+                        }
+                    },
+                    plain: "default"
+                };
+            });
+            it("merges nested objects", () => {
+                expect(pluginKit.defaultOptions(defaults, {
+                    nested: {
+                        b: "override",
+                        deeper: {
+                            c: "override"
+                        }
+                    }
+                }, {
+                    deep: true
+                })).toEqual({
+                    list: ["default"],
+                    nested: {
+                        a: "default",
+                        b: "override",
+                        deeper: {
+                            c: "override"
+                        }
+                    },
+                    plain: "default"
+                });
+            });
+            it("ignores unknown keys at every level", () => {
+                expect(pluginKit.defaultOptions(defaults, {
+                    nested: {
+                        deeper: {
+                            unknown: true
+                        },
+                        unknown: true
+                    },
+                    unknown: true
+                }, {
+                    deep: true
+                })).toEqual(defaults);
+            });
+            it("replaces arrays by default", () => {
+                expect(pluginKit.defaultOptions(defaults, {
+                    list: ["override"]
+                }, {
+                    deep: true
+                }).list).toEqual(["override"]);
+            });
+            it("concatenates arrays", () => {
+                expect(pluginKit.defaultOptions(defaults, {
+                    list: ["override"]
+                }, {
+                    arrays: "concat",
+                    deep: true
+                }).list).toEqual(["default", "override"]);
+            });
+            it("replaces values that are not both plain objects", () => {
+                expect(pluginKit.defaultOptions(defaults, {
+                    nested: "string"
+                }, {
+                    deep: true
+                }).nested).toBe("string");
+            });
+            it("returns clones", () => {
+                var override, result;
+
+                override = {
+                    nested: {
+                        deeper: {
+                            c: "override"
+                        }
+                    }
+                };
+                result = pluginKit.defaultOptions(defaults, override, {
+                    deep: true
+                });
+                expect(result.nested).not.toBe(defaults.nested);
+                expect(result.nested.deeper).not.toBe(override.nested.deeper);
+                expect(result.list).not.toBe(defaults.list);
+            });
+        });
+    });
+    describe(".filenameMatchDetails()", () => {
+        it("describes glob matches with captures", () => {
+            expect(pluginKit.filenameMatchDetails(["*.txt", "posts/*-*.md"])("posts/2020-hello.md")).toEqual({
+                captures: ["2020", "hello"],
+                groups: {},
+                index: 1,
+                pattern: "posts/*-*.md"
+            });
+        });
+        it("uses match options for captures", () => {
+            expect(pluginKit.filenameMatchDetails("*.MD", {
+                nocase: true
+            })("readme.md").captures).toEqual(["readme"]);
+        });
+        it("describes RegExp matches with groups", () => {
+            var details, fn;
+
+            fn = pluginKit.filenameMatchDetails(/^pages\/(?:([a-z]+)-)?(\w+)\.md$/g);
+            fn("pages/first.md");
+            details = fn("pages/about.md");
+            expect(details.index).toBe(0);
+            expect(details.captures.length).toBe(2);
+            expect(details.captures[0]).not.toBeDefined();
+            expect(details.captures[1]).toBe("about");
+            expect(details.groups).toEqual({});
+        });
+        it("provides named groups", () => {
+            expect(pluginKit.filenameMatchDetails(new RegExp("(?<name>\\w+)\\.md$"))("a/b.md").groups).toEqual({
+                name: "b"
+            });
+        });
+        it("describes other match items without captures", () => {
+            var fn;
+
+            fn = (filename, file) => {
+                return file.keep;
+            };
+            expect(pluginKit.filenameMatchDetails(["*.txt", fn])("a.md", {
+                keep: true
+            })).toEqual({
+                captures: [],
+                groups: {},
+                index: 1,
+                pattern: fn
+            });
+        });
+        it("returns null when nothing matches", () => {
+            expect(pluginKit.filenameMatchDetails(["*.txt", /md$/])("a.htm")).toBe(null);
+        });
+        it("normalizes backslashes before matching", () => {
+            expect(pluginKit.filenameMatchDetails("posts/*.md", {
+                normalizePaths: true
+            })("posts\\hello.md").captures).toEqual(["hello"]);
+        });
     });
     describe(".filenameMatcher()", () => {
         var fileList;
@@ -441,6 +1531,327 @@ describe("metalsmith-plugin-kit", () => {
                 })
             ).toEqual(["a.txt", "i.js"]);
         });
+        it("passes the file object to functions", () => {
+            var fn, seen;
+
+            seen = [];
+            fn = pluginKit.filenameMatcher((filename, file) => {
+                seen.push(file);
+
+                return true;
+            });
+            fn("a.txt", {
+                file: true
+            });
+            expect(seen).toEqual([{
+                file: true
+            }]);
+        });
+        it("matches metadata objects", () => {
+            var fn;
+
+            fn = pluginKit.filenameMatcher({
+                metadata: {
+                    draft: true,
+                    layout: "post"
+                }
+            });
+            expect(fn("a.md", {
+                draft: true,
+                layout: "post"
+            })).toBe(true);
+            expect(fn("a.md", {
+                draft: false,
+                layout: "post"
+            })).toBe(false);
+            expect(fn("a.md")).toBe(false);
+        });
+        describe("metadata queries", () => {
+            var posts;
+
+            /**
+             * Returns the names of the posts that match a query.
+             *
+             * @param {Object} metadata
+             * @return {Array.<string>}
+             */
+            function query(metadata) {
+                var fn;
+
+                fn = pluginKit.filenameMatcher({
+                    metadata
+                });
+
+                return Object.keys(posts).filter((filename) => {
+                    return fn(filename, posts[filename]);
+                });
+            }
+
+            beforeEach(() => {
+                posts = {
+                    a: {
+                        draft: true,
+                        layout: "post",
+                        tags: ["news", "tech"]
+                    },
+                    b: {
+                        layout: "post",
+                        tags: ["tech"]
+                    },
+                    c: {
+                        image: "c.png",
+                        layout: "page"
+                    }
+                };
+            });
+            it("matches equal values", () => {
+                expect(query({
+                    layout: "post"
+                })).toEqual(["a", "b"]);
+            });
+            it("matches arrays that contain a value", () => {
+                expect(query({
+                    tags: "news"
+                })).toEqual(["a"]);
+            });
+            it("matches with $exists", () => {
+                expect(query({
+                    image: {
+                        $exists: true
+                    }
+                })).toEqual(["c"]);
+                expect(query({
+                    tags: {
+                        $exists: false
+                    }
+                })).toEqual(["c"]);
+            });
+            it("matches with $in", () => {
+                expect(query({
+                    layout: {
+                        $in: ["page", "other"]
+                    }
+                })).toEqual(["c"]);
+                expect(query({
+                    tags: {
+                        $in: ["news", "sports"]
+                    }
+                })).toEqual(["a"]);
+            });
+            it("matches with $not", () => {
+                expect(query({
+                    draft: {
+                        $not: true
+                    }
+                })).toEqual(["b", "c"]);
+                expect(query({
+                    tags: {
+                        $not: {
+                            $in: ["tech"]
+                        }
+                    }
+                })).toEqual(["c"]);
+            });
+            it("combines properties and operators", () => {
+                expect(query({
+                    draft: {
+                        $not: true
+                    },
+                    layout: "post",
+                    tags: {
+                        $exists: true,
+                        $in: ["tech"]
+                    }
+                })).toEqual(["b"]);
+            });
+            it("throws for unknown operators", () => {
+                expect(() => {
+                    query({
+                        layout: {
+                            $regex: "post"
+                        }
+                    });
+                }).toThrowError("Unknown metadata query operator: $regex");
+            });
+        });
+        describe("combinators", () => {
+            it("matches all items", () => {
+                expect(testMatch(pluginKit.matchAll("**/*.txt", /^c/))).toEqual(["c/d.txt"]);
+            });
+            it("matches any item", () => {
+                expect(testMatch(pluginKit.matchAny("*.md", /\.js$/))).toEqual(["i.js", "m.md"]);
+            });
+            it("matches when no items match", () => {
+                expect(testMatch(pluginKit.matchNot("*.*", "c/*"))).toEqual([
+                    ".b.txt",
+                    "c/.e.txt",
+                    ".f/g.txt",
+                    ".f/.h.txt",
+                    ".n.swp"
+                ]);
+            });
+            it("nests and works with functions and .test() objects", () => {
+                expect(testMatch(pluginKit.matchAll(
+                    "*.*",
+                    pluginKit.matchNot((filename) => {
+                        return filename.length > 5;
+                    }, {
+                        test: (filename) => {
+                            return filename === "i.js";
+                        }
+                    })
+                ))).toEqual(["a.txt", "k.htm", "m.md"]);
+            });
+            it("uses the match options", () => {
+                expect(testMatch(pluginKit.matchAll("**/*.TXT", pluginKit.matchNot("C/*")), {
+                    nocase: true
+                })).toEqual(["a.txt"]);
+            });
+            it("works as JSON", () => {
+                expect(testMatch(JSON.parse("{\"all\": [\"*.*\", {\"not\": \"/^[aeiou]/\"}]}"), {
+                    coerce: true
+                })).toEqual(["j.json", "k.htm", "l.html", "m.md"]);
+            });
+            it("throws for unsupported items", () => {
+                expect(() => {
+                    pluginKit.filenameMatcher({});
+                }).toThrowError("Unsupported match item: [object Object]");
+            });
+        });
+        it("does not coerce strings by default", () => {
+            expect(testMatch("/^c\\//")).toEqual([]);
+        });
+        it("coerces RegExp strings", () => {
+            expect(testMatch(["/^c\\//", "*.MD"], {
+                coerce: true,
+                nocase: true
+            })).toEqual(["c/d.txt", "c/.e.txt", "m.md"]);
+        });
+        it("normalizes backslashes before matching", () => {
+            var fn;
+
+            fn = pluginKit.filenameMatcher(["c/*.txt", /^c\/\.e/], {
+                dot: true,
+                normalizePaths: true
+            });
+            expect(fn("c\\d.txt")).toBe(true);
+            expect(fn("c\\.e.txt")).toBe(true);
+            expect(fn("c/d.txt")).toBe(true);
+            expect(fn("d\\c.txt")).toBe(false);
+        });
+        it("passes normalized filenames to functions", () => {
+            var seen;
+
+            seen = [];
+            pluginKit.filenameMatcher((filename) => {
+                seen.push(filename);
+            }, {
+                normalizePaths: true
+            })("a\\b.txt");
+            expect(seen).toEqual(["a/b.txt"]);
+        });
+        it("can leave backslashes alone", () => {
+            expect(pluginKit.filenameMatcher("c/*.txt", {
+                normalizePaths: false
+            })("c\\d.txt")).toBe(false);
+        });
+    });
+    describe(".filenameMatcherAsync()", () => {
+        it("resolves for globs and regular expressions", () => {
+            var fn;
+
+            fn = pluginKit.filenameMatcherAsync(["*.txt", /\.md$/]);
+
+            return Promise.all([
+                fn("a.txt"),
+                fn("b.md"),
+                fn("c.htm")
+            ]).then((results) => {
+                expect(results).toEqual([true, true, false]);
+            });
+        });
+        it("waits for functions that return promises", () => {
+            var fn;
+
+            fn = pluginKit.filenameMatcherAsync((filename, file) => {
+                return Promise.resolve(file.keep);
+            });
+
+            return Promise.all([
+                fn("a.txt", {
+                    keep: 1
+                }),
+                fn("b.txt", {})
+            ]).then((results) => {
+                expect(results).toEqual([true, false]);
+            });
+        });
+        it("waits for functions that use callbacks", () => {
+            return pluginKit.filenameMatcherAsync((filename, file, done) => {
+                setTimeout(() => {
+                    done(null, filename === "a.txt");
+                }, 5);
+            })("a.txt").then((result) => {
+                expect(result).toBe(true);
+            });
+        });
+        it("stops once the result is known", () => {
+            var calls, fn;
+
+            calls = [];
+            fn = pluginKit.filenameMatcherAsync(pluginKit.matchAll("*.jpg", (filename) => {
+                calls.push(filename);
+
+                return Promise.resolve(filename !== "b.jpg");
+            }));
+
+            return Promise.all([
+                fn("a.jpg"),
+                fn("b.jpg"),
+                fn("c.txt")
+            ]).then((results) => {
+                expect(results).toEqual([true, false, false]);
+                expect(calls).toEqual(["a.jpg", "b.jpg"]);
+            });
+        });
+        it("combines asynchronous items", () => {
+            var fn;
+
+            fn = pluginKit.filenameMatcherAsync([
+                "*.txt",
+                pluginKit.matchNot((filename) => {
+                    return Promise.resolve(filename !== "a.md");
+                })
+            ]);
+
+            return Promise.all([
+                fn("a.md"),
+                fn("b.md"),
+                fn("c.txt")
+            ]).then((results) => {
+                expect(results).toEqual([true, false, true]);
+            });
+        });
+        it("rejects when a function fails", () => {
+            return pluginKit.filenameMatcherAsync(() => {
+                return Promise.reject(new Error("lookup failed"));
+            })("a.txt").then(() => {
+                throw new Error("Should not resolve");
+            }, (err) => {
+                expect(err.message).toBe("lookup failed");
+            });
+        });
+        it("times out functions that do not finish", () => {
+            return pluginKit.filenameMatcherAsync((filename, file, done) => {
+                return done;
+            }, {}, {
+                timeout: 10
+            })("a.txt").then(() => {
+                throw new Error("Should not resolve");
+            }, (err) => {
+                expect(err.name).toBe("TimeoutError");
+            });
+        });
     });
     describe(".middleware()", () => {
         var files, metalsmith;
@@ -523,94 +1934,1715 @@ describe("metalsmith-plugin-kit", () => {
                 });
             });
         });
-        describe(".each", () => {
-            it("is called for each file in the set", () => {
-                var calls;
+        describe(".concurrency", () => {
+            /**
+             * Builds a set of files and an object that tracks how many
+             * calls are running at the same time.
+             *
+             * @return {Object} State that is updated by `each`
+             */
+            function trackConcurrency() {
+                var state;
 
-                calls = [];
+                files = {};
+                ["a", "b", "c", "d", "e"].forEach((filename) => {
+                    files[filename] = {};
+                });
+                state = {
+                    active: 0,
+                    calls: 0,
+                    max: 0
+                };
+                state.start = () => {
+                    state.active += 1;
+                    state.calls += 1;
+                    state.max = Math.max(state.max, state.active);
+                };
+                state.finish = () => {
+                    state.active -= 1;
+                };
+
+                return state;
+            }
+
+            it("runs everything at once by default", () => {
+                var state;
+
+                state = trackConcurrency();
 
                 return runMiddleware({
-                    each: (fn, f, fs, ms) => {
-                        calls.push([fn, f, fs, ms]);
-                    }
+                    each: () => {
+                        state.start();
+
+                        return new Promise((resolve) => {
+                            setTimeout(resolve, 10);
+                        }).then(state.finish);
+                    }
+                }).then(() => {
+                    expect(state.calls).toBe(5);
+                    expect(state.max).toBe(5);
+                });
+            });
+            it("limits Promise-based functions", () => {
+                var state;
+
+                state = trackConcurrency();
+
+                return runMiddleware({
+                    concurrency: 2,
+                    each: () => {
+                        state.start();
+
+                        return new Promise((resolve) => {
+                            setTimeout(resolve, 10);
+                        }).then(state.finish);
+                    }
+                }).then(() => {
+                    expect(state.calls).toBe(5);
+                    expect(state.max).toBe(2);
+                });
+            });
+            it("limits callback-based functions", () => {
+                var state;
+
+                state = trackConcurrency();
+
+                return runMiddleware({
+                    concurrency: 3,
+                    each: (filename, file, allFiles, metalsmithObj, done) => {
+                        state.start();
+                        setTimeout(() => {
+                            state.finish();
+                            done();
+                        }, 10);
+                    }
+                }).then(() => {
+                    expect(state.calls).toBe(5);
+                    expect(state.max).toBe(3);
+                });
+            });
+            it("works with synchronous functions", () => {
+                var state;
+
+                state = trackConcurrency();
+
+                return runMiddleware({
+                    concurrency: 1,
+                    each: () => {
+                        state.start();
+                        state.finish();
+                    }
+                }).then(() => {
+                    expect(state.calls).toBe(5);
+                    expect(state.max).toBe(1);
+                });
+            });
+            it("stops starting files after a failure", () => {
+                var state;
+
+                state = trackConcurrency();
+
+                return runMiddleware({
+                    concurrency: 1,
+                    each: () => {
+                        state.start();
+                        throw new Error("fail");
+                    }
+                }).then(jasmine.fail, () => {
+                    expect(state.calls).toBe(1);
+                });
+            });
+        });
+        describe(".each", () => {
+            it("is called for each file in the set", () => {
+                var calls;
+
+                calls = [];
+
+                return runMiddleware({
+                    each: (fn, f, fs, ms) => {
+                        calls.push([fn, f, fs, ms]);
+                    }
                 }).then(() => {
                     expect(calls).toEqual([
                         ["test.txt", files["test.txt"], files, metalsmith]
                     ]);
                 });
             });
+            describe("returned changes", () => {
+                it("applies them after every file is processed", () => {
+                    var seen;
+
+                    files = {
+                        "a.md": {
+                            title: "A"
+                        },
+                        "b.md": {},
+                        "c.txt": {}
+                    };
+                    seen = [];
+
+                    return runMiddleware({
+                        each: (filename, file, allFiles) => {
+                            seen.push(Object.keys(allFiles).length);
+
+                            if (filename === "a.md") {
+                                return {
+                                    add: {
+                                        "extra.json": {
+                                            x: 1
+                                        },
+                                        "extra.txt": "text"
+                                    },
+                                    remove: "c.txt",
+                                    rename: "a.html"
+                                };
+                            }
+
+                            return Promise.resolve({
+                                remove: ["b.md"]
+                            });
+                        },
+                        match: "*.md"
+                    }).then(() => {
+                        expect(seen).toEqual([3, 3]);
+                        expect(Object.keys(files).sort()).toEqual([
+                            "a.html",
+                            "extra.json",
+                            "extra.txt"
+                        ]);
+                        expect(files["a.html"].title).toBe("A");
+                        expect(files["extra.json"].contents.toString("utf8")).toBe("{\"x\":1}");
+                        expect(files["extra.txt"].contents.toString("utf8")).toBe("text");
+                    });
+                });
+                it("applies them in the order files were processed", () => {
+                    files = {
+                        "a.md": {},
+                        "b.md": {}
+                    };
+
+                    return runMiddleware({
+                        each: (filename) => {
+                            var delay;
+
+                            delay = 1;
+
+                            if (filename === "a.md") {
+                                delay = 10;
+                            }
+
+                            return new Promise((resolve) => {
+                                setTimeout(() => {
+                                    resolve({
+                                        add: {
+                                            "out.txt": filename
+                                        }
+                                    });
+                                }, delay);
+                            });
+                        },
+                        ifExists: "overwrite"
+                    }).then(() => {
+                        expect(files["out.txt"].contents.toString("utf8")).toBe("b.md");
+                    });
+                });
+                it("shifts names without chaining renames", () => {
+                    var page1, page2;
+
+                    page1 = {
+                        contents: Buffer.from("one", "utf8")
+                    };
+                    page2 = {
+                        contents: Buffer.from("two", "utf8")
+                    };
+                    files = {
+                        "page-1.html": page1,
+                        "page-2.html": page2
+                    };
+
+                    return runMiddleware({
+                        each: (filename) => {
+                            return {
+                                rename: filename.replace(/\d/, (number) => {
+                                    return String(Number(number) + 1);
+                                })
+                            };
+                        }
+                    }).then(() => {
+                        expect(Object.keys(files).sort()).toEqual([
+                            "page-2.html",
+                            "page-3.html"
+                        ]);
+                        expect(files["page-2.html"]).toBe(page1);
+                        expect(files["page-3.html"]).toBe(page2);
+                        expect(page1.originalPath).toBe("page-1.html");
+                        expect(page2.originalPath).toBe("page-2.html");
+                    });
+                });
+                it("swaps names", () => {
+                    var a, b;
+
+                    a = {};
+                    b = {};
+                    files = {
+                        "a.md": a,
+                        "b.md": b
+                    };
+
+                    return runMiddleware({
+                        each: (filename) => {
+                            if (filename === "a.md") {
+                                return {
+                                    rename: "b.md"
+                                };
+                            }
+
+                            return {
+                                rename: "a.md"
+                            };
+                        }
+                    }).then(() => {
+                        expect(files["a.md"]).toBe(b);
+                        expect(files["b.md"]).toBe(a);
+                    });
+                });
+                it("fails without changes when results collide", () => {
+                    var a, b;
+
+                    a = {};
+                    b = {};
+                    files = {
+                        "a.md": a,
+                        "b.md": b
+                    };
+
+                    return runMiddleware({
+                        each: (filename) => {
+                            if (filename === "a.md") {
+                                return {
+                                    add: {
+                                        "new.txt": "from a"
+                                    },
+                                    rename: "b.md"
+                                };
+                            }
+
+                            return null;
+                        }
+                    }).then(jasmine.fail, (err) => {
+                        expect(err.message).toBe("middleware (each): File already exists: b.md");
+                        expect(err.phase).toBe("each");
+                        expect(err.filename).toBe("b.md");
+                        expect(files).toEqual({
+                            "a.md": a,
+                            "b.md": b
+                        });
+                        expect(a.originalPath).not.toBeDefined();
+
+                        return runMiddleware({
+                            each: () => {
+                                return {
+                                    add: {
+                                        "same.txt": "content"
+                                    }
+                                };
+                            }
+                        });
+                    }).then(jasmine.fail, (err) => {
+                        expect(err.message).toBe("middleware (each): File already exists: same.txt");
+                        expect(Object.keys(files)).toEqual(["a.md", "b.md"]);
+                    });
+                });
+                it("uses the collision policy", () => {
+                    var a, b;
+
+                    a = {};
+                    b = {};
+                    files = {
+                        "a.md": a,
+                        "b.md": b
+                    };
+
+                    return runMiddleware({
+                        each: (filename) => {
+                            if (filename === "a.md") {
+                                return {
+                                    rename: "b.md"
+                                };
+                            }
+
+                            return null;
+                        },
+                        ifExists: "skip"
+                    }).then(() => {
+                        expect(files).toEqual({
+                            "a.md": a,
+                            "b.md": b
+                        });
+                        expect(a.originalPath).not.toBeDefined();
+
+                        return runMiddleware({
+                            each: (filename) => {
+                                if (filename === "a.md") {
+                                    return {
+                                        rename: "x/b.md"
+                                    };
+                                }
+
+                                return {
+                                    rename: "x\\b.md"
+                                };
+                            },
+                            ifExists: "suffix"
+                        });
+                    }).then(() => {
+                        expect(files[path.join("x", "b.md")]).toBe(a);
+                        expect(files[path.join("x", "b-1.md")]).toBe(b);
+                    });
+                });
+                it("ignores renames of files that were deleted while pending", () => {
+                    files = {
+                        "a.txt": {},
+                        "b.txt": {}
+                    };
+
+                    return runMiddleware({
+                        concurrency: 2,
+                        each: (filename, file, allFiles) => {
+                            if (filename === "a.txt") {
+                                return new Promise((resolve) => {
+                                    setTimeout(resolve, 5);
+                                }).then(() => {
+                                    delete allFiles["b.txt"];
+                                });
+                            }
+
+                            return new Promise((resolve) => {
+                                setTimeout(resolve, 20);
+                            }).then(() => {
+                                return {
+                                    rename: "c.txt"
+                                };
+                            });
+                        }
+                    }).then(() => {
+                        expect(Object.keys(files)).toEqual(["a.txt"]);
+                    });
+                });
+                it("ignores renames of files that were replaced while pending", () => {
+                    var original, replacement;
+
+                    original = {};
+                    replacement = {};
+                    files = {
+                        "a.txt": original,
+                        "b.txt": {}
+                    };
+
+                    return runMiddleware({
+                        concurrency: 2,
+                        each: (filename, file, allFiles) => {
+                            if (filename === "a.txt") {
+                                return new Promise((resolve) => {
+                                    setTimeout(resolve, 20);
+                                }).then(() => {
+                                    return {
+                                        rename: "c.txt"
+                                    };
+                                });
+                            }
+
+                            return new Promise((resolve) => {
+                                setTimeout(resolve, 5);
+                            }).then(() => {
+                                allFiles["a.txt"] = replacement;
+                            });
+                        }
+                    }).then(() => {
+                        expect(files["a.txt"]).toBe(replacement);
+                        expect(files["c.txt"]).not.toBeDefined();
+                        expect(replacement.originalPath).not.toBeDefined();
+                        expect(original.originalPath).not.toBeDefined();
+                    });
+                });
+                it("ignores other values and renames of removed files", () => {
+                    files = {
+                        "a.md": {},
+                        "b.md": {}
+                    };
+
+                    return runMiddleware({
+                        each: (filename) => {
+                            if (filename === "a.md") {
+                                return {
+                                    remove: "b.md"
+                                };
+                            }
+
+                            return {
+                                rename: "c.md"
+                            };
+                        },
+                        sort: () => {
+                            return 0;
+                        }
+                    }).then(() => {
+                        expect(Object.keys(files)).toEqual(["a.md"]);
+
+                        return runMiddleware({
+                            each: () => {
+                                return "not changes";
+                            }
+                        });
+                    }).then(() => {
+                        expect(Object.keys(files)).toEqual(["a.md"]);
+                    });
+                });
+            });
+        });
+        describe(".eachBatch", () => {
+            beforeEach(() => {
+                files = {
+                    "a.md": {},
+                    "b.md": {},
+                    "c.txt": {},
+                    "d.md": {}
+                };
+            });
+            it("passes every matching file in one batch by default", () => {
+                var calls;
+
+                calls = [];
+
+                return runMiddleware({
+                    eachBatch: (batch, fs, ms) => {
+                        calls.push([batch, fs, ms]);
+                    },
+                    match: "*.md"
+                }).then(() => {
+                    expect(calls).toEqual([
+                        [
+                            [
+                                ["a.md", files["a.md"]],
+                                ["b.md", files["b.md"]],
+                                ["d.md", files["d.md"]]
+                            ],
+                            files,
+                            metalsmith
+                        ]
+                    ]);
+                });
+            });
+            it("splits files into batches after each finishes", () => {
+                var calls;
+
+                calls = [];
+
+                return runMiddleware({
+                    batchSize: 2,
+                    each: (filename) => {
+                        calls.push(filename);
+                    },
+                    eachBatch: (batch) => {
+                        calls.push(batch.map((pair) => {
+                            return pair[0];
+                        }));
+                    },
+                    sequential: true,
+                    sort: (a, b) => {
+                        return b[0].localeCompare(a[0]);
+                    }
+                }).then(() => {
+                    expect(calls).toEqual([
+                        "d.md",
+                        "c.txt",
+                        "b.md",
+                        "a.md",
+                        ["d.md", "c.txt"],
+                        ["b.md", "a.md"]
+                    ]);
+                });
+            });
+            it("waits for promises and callbacks", () => {
+                var calls;
+
+                calls = [];
+
+                return runMiddleware({
+                    after: () => {
+                        calls.push("after");
+                    },
+                    batchSize: 3,
+                    eachBatch: (batch, fs, ms, done) => {
+                        setTimeout(() => {
+                            calls.push(batch.length);
+                            done();
+                        }, 5);
+                    }
+                }).then(() => {
+                    expect(calls).toEqual([3, 1, "after"]);
+                });
+            });
+            it("skips deleted files and empty sets", () => {
+                var calls;
+
+                calls = [];
+
+                return runMiddleware({
+                    each: (filename, file, allFiles) => {
+                        delete allFiles[filename];
+                    },
+                    eachBatch: (batch) => {
+                        calls.push(batch);
+                    }
+                }).then(() => {
+                    expect(calls).toEqual([]);
+                });
+            });
+            it("annotates errors with the filenames", () => {
+                return runMiddleware({
+                    batchSize: 2,
+                    eachBatch: (batch) => {
+                        if (batch[0][0] === "c.txt") {
+                            return Promise.reject(new Error("bulk failure"));
+                        }
+
+                        return null;
+                    },
+                    name: "bulk"
+                }).then(jasmine.fail, (err) => {
+                    expect(err.message).toBe("bulk (eachBatch 2 of 2): bulk failure");
+                    expect(err.phase).toBe("eachBatch");
+                    expect(err.filenames).toEqual(["c.txt", "d.md"]);
+                });
+            });
+            it("collects errors from each and eachBatch", () => {
+                return runMiddleware({
+                    each: (filename) => {
+                        if (filename === "a.md") {
+                            throw new Error("single failure");
+                        }
+                    },
+                    eachBatch: () => {
+                        throw new Error("bulk failure");
+                    },
+                    errorMode: "collect"
+                }).then(jasmine.fail, (err) => {
+                    expect(err.errors.map((error) => {
+                        return error.phase;
+                    })).toEqual(["each", "eachBatch"]);
+                });
+            });
+        });
+        describe("errors", () => {
+            ["before", "after"].forEach((phase) => {
+                it(`annotates errors from ${phase}`, () => {
+                    var definition, original;
+
+                    original = new Error("boom");
+                    definition = {
+                        name: "test-plugin"
+                    };
+                    definition[phase] = () => {
+                        throw original;
+                    };
+
+                    return runMiddleware(definition).then(jasmine.fail, (err) => {
+                        expect(err.message).toBe(`test-plugin (${phase}): boom`);
+                        expect(err.plugin).toBe("test-plugin");
+                        expect(err.phase).toBe(phase);
+                        expect(err.filename).not.toBeDefined();
+                        expect(err.cause).toBe(original);
+                    });
+                });
+            });
+            it("annotates errors from each with the filename", () => {
+                return runMiddleware({
+                    each: (filename, file, allFiles, ms, done) => {
+                        done(new Error("callback failure"));
+                    }
+                }).then(jasmine.fail, (err) => {
+                    expect(err.message).toBe("middleware (each test.txt): callback failure");
+                    expect(err.plugin).toBe(null);
+                    expect(err.phase).toBe("each");
+                    expect(err.filename).toBe("test.txt");
+                    expect(err.cause.message).toBe("callback failure");
+                });
+            });
+            it("annotates values that are not errors", () => {
+                return runMiddleware({
+                    before: () => {
+                        return Promise.reject("just a string");
+                    }
+                }).then(jasmine.fail, (err) => {
+                    expect(err.message).toBe("middleware (before): just a string");
+                    expect(err.cause).toBe("just a string");
+                });
+            });
+        });
+        describe(".errorMode", () => {
+            var afterRan, eachCalls;
+
+            /**
+             * Fails for every file except "ok.txt".
+             *
+             * @param {string} filename
+             * @throws {Error}
+             */
+            function failMost(filename) {
+                eachCalls.push(filename);
+
+                if (filename !== "ok.txt") {
+                    throw new Error(`broken ${filename}`);
+                }
+            }
+
+            beforeEach(() => {
+                afterRan = false;
+                eachCalls = [];
+                files = {
+                    "a.txt": {},
+                    "ok.txt": {},
+                    "b.txt": {}
+                };
+            });
+            it("fails fast by default", () => {
+                return runMiddleware({
+                    after: () => {
+                        afterRan = true;
+                    },
+                    concurrency: 1,
+                    each: failMost
+                }).then(jasmine.fail, (err) => {
+                    expect(err.cause.message).toBe("broken a.txt");
+                    expect(eachCalls).toEqual(["a.txt"]);
+                    expect(afterRan).toBe(false);
+                });
+            });
+            it("collects errors from every file", () => {
+                return runMiddleware({
+                    after: () => {
+                        afterRan = true;
+                    },
+                    concurrency: 1,
+                    each: failMost,
+                    errorMode: "collect",
+                    name: "collector"
+                }).then(jasmine.fail, (err) => {
+                    expect(err.name).toBe("AggregateError");
+                    expect(err.message).toContain("collector: 2 file(s) failed");
+                    expect(err.message).toContain("(each a.txt): broken a.txt");
+                    expect(err.message).toContain("(each b.txt): broken b.txt");
+                    expect(err.errors.length).toBe(2);
+                    expect(err.errors[0].filename).toBe("a.txt");
+                    expect(err.errors[1].filename).toBe("b.txt");
+                    expect(eachCalls).toEqual(["a.txt", "ok.txt", "b.txt"]);
+                    expect(afterRan).toBe(false);
+                });
+            });
+            it("collects errors from match", () => {
+                return runMiddleware({
+                    concurrency: 1,
+                    each: failMost,
+                    errorMode: "collect",
+                    match: (filename) => {
+                        if (filename === "a.txt") {
+                            throw new Error("bad match");
+                        }
+
+                        return filename === "ok.txt";
+                    }
+                }).then(jasmine.fail, (err) => {
+                    expect(err.errors.length).toBe(1);
+                    expect(err.errors[0].phase).toBe("match");
+                    expect(err.errors[0].filename).toBe("a.txt");
+                    expect(eachCalls).toEqual(["ok.txt"]);
+                });
+            });
+            it("still applies changes and runs eachBatch when collecting", () => {
+                var batched;
+
+                return runMiddleware({
+                    concurrency: 1,
+                    each: (filename) => {
+                        failMost(filename);
+
+                        return {
+                            rename: "renamed.txt"
+                        };
+                    },
+                    eachBatch: (batch) => {
+                        batched = batch.map((pair) => {
+                            return pair[0];
+                        });
+                    },
+                    errorMode: "collect"
+                }).then(jasmine.fail, (err) => {
+                    expect(err.errors.length).toBe(2);
+                    expect(Object.keys(files).sort()).toEqual(["a.txt", "b.txt", "renamed.txt"]);
+                    expect(batched).toEqual(["a.txt", "b.txt"]);
+                });
+            });
+            it("calls after when nothing fails", () => {
+                return runMiddleware({
+                    after: () => {
+                        afterRan = true;
+                    },
+                    errorMode: "collect"
+                }).then(() => {
+                    expect(afterRan).toBe(true);
+                });
+            });
+        });
+        describe(".ignore", () => {
+            it("skips files that match", () => {
+                var seen;
+
+                files = {
+                    "a.md": {},
+                    "drafts/b.md": {},
+                    "index.md": {}
+                };
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    },
+                    ignore: ["drafts/**", "INDEX.md"],
+                    match: "**/*.md",
+                    matchOptions: {
+                        nocase: true
+                    }
+                }).then(() => {
+                    expect(seen).toEqual(["a.md"]);
+                });
+            });
+        });
+        describe(".match", () => {
+            beforeEach(() => {
+                spyOn(pluginKit, "filenameMatcherAsync").and.callThrough();
+            });
+            it("defaults to **/*", () => {
+                return runMiddleware().then(() => {
+                    expect(pluginKit.filenameMatcherAsync).toHaveBeenCalledWith(
+                        "**/*",
+                        jasmine.any(Object),
+                        {
+                            timeout: 0
+                        }
+                    );
+                });
+            });
+            it("passes any other value", () => {
+                return runMiddleware({
+                    match: ["anything", /goes/, function here() {}]
+                }).then(() => {
+                    expect(pluginKit.filenameMatcherAsync).toHaveBeenCalledWith(
+                        [
+                            "anything",
+                            jasmine.any(RegExp),
+                            jasmine.any(Function)
+                        ],
+                        jasmine.any(Object),
+                        {
+                            timeout: 0
+                        }
+                    );
+                });
+            });
+        });
+        describe(".match with asynchronous functions", () => {
+            it("filters files before each runs", () => {
+                var seen;
+
+                files = {
+                    "a.jpg": {},
+                    "b.jpg": {},
+                    "c.txt": {}
+                };
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    },
+                    match: pluginKit.matchAll("*.jpg", (filename, file, done) => {
+                        setTimeout(() => {
+                            done(null, filename === "b.jpg");
+                        }, 5);
+                    })
+                }).then(() => {
+                    expect(seen).toEqual(["b.jpg"]);
+                });
+            });
+            it("uses asynchronous functions to ignore files", () => {
+                var seen;
+
+                files = {
+                    "a.md": {},
+                    "b.md": {}
+                };
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    },
+                    ignore: (filename) => {
+                        return Promise.resolve(filename === "a.md");
+                    }
+                }).then(() => {
+                    expect(seen).toEqual(["b.md"]);
+                });
+            });
+            it("provides match details", () => {
+                var seen;
+
+                files = {
+                    "a.md": {}
+                };
+
+                return runMiddleware({
+                    each: (filename, file, allFiles, ms, details) => {
+                        seen = details;
+                    },
+                    match: [
+                        () => {
+                            return Promise.resolve(false);
+                        },
+                        "*.md"
+                    ],
+                    matchDetails: true
+                }).then(() => {
+                    expect(seen.index).toBe(1);
+                    expect(seen.captures).toEqual(["a"]);
+                });
+            });
+            it("reports errors with the filename", () => {
+                return runMiddleware({
+                    match: () => {
+                        return Promise.reject(new Error("lookup failed"));
+                    },
+                    name: "lookup"
+                }).then(() => {
+                    throw new Error("Should not resolve");
+                }, (err) => {
+                    expect(err.message).toContain("lookup (match test.txt)");
+                    expect(err.phase).toBe("match");
+                    expect(err.filename).toBe("test.txt");
+                    expect(err.cause.message).toBe("lookup failed");
+                });
+            });
+            it("uses the match timeout", () => {
+                return runMiddleware({
+                    match: (filename, file, done) => {
+                        return done;
+                    },
+                    timeout: {
+                        match: 10
+                    }
+                }).then(() => {
+                    throw new Error("Should not resolve");
+                }, (err) => {
+                    expect(err.message).toContain("middleware (match test.txt)");
+                    expect(err.phase).toBe("match");
+                    expect(err.cause.name).toBe("TimeoutError");
+                });
+            });
+            it("does not add a timeout to the match options", () => {
+                var seen;
+
+                spyOn(pluginKit, "filenameMatcherAsync").and.callThrough();
+
+                return runMiddleware({
+                    timeout: {
+                        match: 1000
+                    }
+                }).then(() => {
+                    seen = pluginKit.filenameMatcherAsync.calls.argsFor(0);
+                    expect(seen[1]).toEqual({});
+                    expect(seen[2]).toEqual({
+                        timeout: 1000
+                    });
+                });
+            });
+            it("uses the match timeout with match details", () => {
+                return runMiddleware({
+                    match: (filename, file, done) => {
+                        return done;
+                    },
+                    matchDetails: true,
+                    timeout: {
+                        match: 10
+                    }
+                }).then(() => {
+                    throw new Error("Should not resolve");
+                }, (err) => {
+                    expect(err.phase).toBe("match");
+                    expect(err.cause.name).toBe("TimeoutError");
+                });
+            });
+        });
+        describe(".match with metadata", () => {
+            it("passes the file to matchers", () => {
+                var seen;
+
+                files = {
+                    "draft.md": {
+                        draft: true
+                    },
+                    "post.md": {
+                        layout: "post"
+                    }
+                };
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    },
+                    match: {
+                        metadata: {
+                            draft: {
+                                $not: true
+                            }
+                        }
+                    }
+                }).then(() => {
+                    expect(seen).toEqual(["post.md"]);
+                });
+            });
+        });
+        describe(".matchDetails", () => {
+            it("is not passed by default", () => {
+                var argCount;
+
+                return runMiddleware({
+                    each(...args) {
+                        argCount = args.length;
+                    }
+                }).then(() => {
+                    expect(argCount).toBe(4);
+                });
+            });
+            it("passes match details to each", () => {
+                var seen;
+
+                files = {
+                    "posts/2020-hello.md": {}
+                };
+
+                return runMiddleware({
+                    each: (filename, file, allFiles, ms, details) => {
+                        seen = details;
+                    },
+                    match: ["*.txt", "posts/*-*.md"],
+                    matchDetails: true
+                }).then(() => {
+                    expect(seen.index).toBe(1);
+                    expect(seen.captures).toEqual(["2020", "hello"]);
+                });
+            });
+            it("supports callbacks after the details", () => {
+                var seen;
+
+                return runMiddleware({
+                    each: (filename, file, allFiles, ms, details, done) => {
+                        seen = details;
+                        setTimeout(done, 5);
+                    },
+                    match: /\.(txt)$/,
+                    matchDetails: true
+                }).then(() => {
+                    expect(seen.captures).toEqual(["txt"]);
+                });
+            });
+        });
+        describe(".matchOptions", () => {
+            beforeEach(() => {
+                spyOn(pluginKit, "filenameMatcherAsync").and.callThrough();
+            });
+            it("defaults to an empty object", () => {
+                return runMiddleware().then(() => {
+                    expect(pluginKit.filenameMatcherAsync).toHaveBeenCalledWith(
+                        jasmine.any(String),
+                        {},
+                        {
+                            timeout: 0
+                        }
+                    );
+                });
+            });
+            it("can be set to anything else", () => {
+                var options;
+
+                options = {
+                    dot: true
+                };
+
+                return runMiddleware({
+                    matchOptions: options
+                }).then(() => {
+                    expect(pluginKit.filenameMatcherAsync).toHaveBeenCalledWith(
+                        jasmine.any(String),
+                        options,
+                        {
+                            timeout: 0
+                        }
+                    );
+                });
+            });
+            it("matches Windows keys when normalizing paths", () => {
+                var seen;
+
+                files = {
+                    "drafts\\b.md": {},
+                    "posts\\a.md": {},
+                    "posts\\c.txt": {}
+                };
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename, file) => {
+                        expect(file).toBe(files[filename]);
+                        seen.push(filename);
+                    },
+                    ignore: "drafts/**",
+                    match: "*/*.md",
+                    matchOptions: {
+                        normalizePaths: true
+                    }
+                }).then(() => {
+                    expect(seen).toEqual(["posts\\a.md"]);
+                });
+            });
+        });
+        describe(".name", () => {
+            it("does not name middleware normally", () => {
+                var middleware;
+
+                middleware = pluginKit.middleware({});
+                expect(middleware.name).not.toBe("some-name-goes-here");
+            });
+            it("names middleware when defined", () => {
+                var middleware;
+
+                middleware = pluginKit.middleware({
+                    name: "some-name-goes-here"
+                });
+                expect(middleware.name).toBe("some-name-goes-here");
+            });
+        });
+        describe(".sequential", () => {
+            it("waits for each file before starting the next", () => {
+                var log;
+
+                files = {
+                    a: {},
+                    b: {},
+                    c: {}
+                };
+                log = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        log.push(`start ${filename}`);
+
+                        return new Promise((resolve) => {
+                            setTimeout(resolve, 5);
+                        }).then(() => {
+                            log.push(`end ${filename}`);
+                        });
+                    },
+                    sequential: true
+                }).then(() => {
+                    expect(log).toEqual([
+                        "start a",
+                        "end a",
+                        "start b",
+                        "end b",
+                        "start c",
+                        "end c"
+                    ]);
+                });
+            });
+        });
+        describe(".sort", () => {
+            beforeEach(() => {
+                files = {
+                    first: {
+                        order: 3
+                    },
+                    second: {},
+                    third: {
+                        order: 1
+                    },
+                    fourth: {
+                        order: 3
+                    },
+                    fifth: {
+                        order: 2
+                    }
+                };
+            });
+            it("keeps the original order by default", () => {
+                var seen;
+
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    }
+                }).then(() => {
+                    expect(seen).toEqual([
+                        "first",
+                        "second",
+                        "third",
+                        "fourth",
+                        "fifth"
+                    ]);
+                });
+            });
+            it("sorts by a metadata property", () => {
+                var seen;
+
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    },
+                    sort: "order"
+                }).then(() => {
+                    expect(seen).toEqual([
+                        "third",
+                        "fifth",
+                        "first",
+                        "fourth",
+                        "second"
+                    ]);
+                });
+            });
+            it("sorts with a comparator", () => {
+                var seen;
+
+                seen = [];
+
+                return runMiddleware({
+                    each: (filename) => {
+                        seen.push(filename);
+                    },
+                    sort: (a, b) => {
+                        expect(a[1]).toBe(files[a[0]]);
+
+                        return a[0].localeCompare(b[0]);
+                    }
+                }).then(() => {
+                    expect(seen).toEqual([
+                        "fifth",
+                        "first",
+                        "fourth",
+                        "second",
+                        "third"
+                    ]);
+                });
+            });
+        });
+        describe(".text", () => {
+            beforeEach(() => {
+                files = {
+                    "binary.png": {
+                        contents: Buffer.from([137, 80, 0, 71])
+                    },
+                    "bom.txt": {
+                        contents: Buffer.from("\ufeffwith bom", "utf8")
+                    },
+                    "missing.txt": {},
+                    "plain.txt": {
+                        contents: Buffer.from("plain text", "utf8")
+                    }
+                };
+            });
+            it("passes decoded text and encodes the result", () => {
+                var seen;
+
+                seen = {};
+
+                return runMiddleware({
+                    each: (filename, text, file, allFiles, ms) => {
+                        seen[filename] = text;
+                        expect(file).toBe(files[filename]);
+                        expect(allFiles).toBe(files);
+                        expect(ms).toBe(metalsmith);
+
+                        return text.toUpperCase();
+                    },
+                    text: true
+                }).then(() => {
+                    expect(seen).toEqual({
+                        "bom.txt": "with bom",
+                        "plain.txt": "plain text"
+                    });
+                    expect(files["plain.txt"].contents.toString("utf8")).toBe("PLAIN TEXT");
+                    expect(files["bom.txt"].contents.toString("utf8")).toBe("\ufeffWITH BOM");
+                    expect(files["binary.png"].contents).toEqual(Buffer.from([137, 80, 0, 71]));
+                });
+            });
+            it("leaves contents alone without a string result", () => {
+                return runMiddleware({
+                    each: (filename, text, file, allFiles, ms, done) => {
+                        setTimeout(() => {
+                            done(null, {
+                                rename: `${filename}.bak`
+                            });
+                        }, 5);
+                    },
+                    match: "plain.txt",
+                    text: true
+                }).then(() => {
+                    expect(files["plain.txt.bak"].contents.toString("utf8")).toBe("plain text");
+                });
+            });
+            it("passes match details", () => {
+                var seen;
+
+                return runMiddleware({
+                    each: (filename, text, file, allFiles, ms, details) => {
+                        seen = details;
+
+                        return Promise.resolve(text);
+                    },
+                    match: "plain.*",
+                    matchDetails: true,
+                    text: true
+                }).then(() => {
+                    expect(seen.captures).toEqual(["txt"]);
+                });
+            });
+            it("strips or keeps byte order marks", () => {
+                return runMiddleware({
+                    each: (filename, text) => {
+                        return text;
+                    },
+                    match: "bom.txt",
+                    text: true,
+                    textOptions: {
+                        bom: "strip"
+                    }
+                }).then(() => {
+                    expect(files["bom.txt"].contents.toString("utf8")).toBe("with bom");
+                    files["bom.txt"].contents = Buffer.from("\ufeffagain", "utf8");
+
+                    return runMiddleware({
+                        each: (filename, text) => {
+                            expect(text).toBe("\ufeffagain");
+
+                            return `${text}!`;
+                        },
+                        match: "bom.txt",
+                        text: true,
+                        textOptions: {
+                            bom: "keep"
+                        }
+                    });
+                }).then(() => {
+                    expect(files["bom.txt"].contents.toString("utf8")).toBe("\ufeffagain!");
+                });
+            });
+            it("uses the encoding and can process binary files", () => {
+                files = {
+                    "utf16.txt": {
+                        contents: Buffer.from("wide", "utf16le")
+                    }
+                };
+
+                return runMiddleware({
+                    each: (filename, text) => {
+                        expect(text).toBe("wide");
+
+                        return "wider";
+                    },
+                    text: true,
+                    textOptions: {
+                        binary: "process",
+                        encoding: "utf16le"
+                    }
+                }).then(() => {
+                    expect(files["utf16.txt"].contents.toString("utf16le")).toBe("wider");
+                });
+            });
+            it("skips binary files in batches", () => {
+                var seen;
+
+                return runMiddleware({
+                    eachBatch: (batch) => {
+                        seen = batch.map((pair) => {
+                            return pair[0];
+                        });
+                    },
+                    text: true
+                }).then(() => {
+                    expect(seen).toEqual(["bom.txt", "plain.txt"]);
+                });
+            });
+        });
+        describe(".timeout", () => {
+            it("applies to every phase", () => {
+                return runMiddleware({
+                    after: () => {
+                        return new Promise(() => {});
+                    },
+                    timeout: 20
+                }).then(jasmine.fail, (err) => {
+                    expect(err.phase).toBe("after");
+                    expect(err.cause.name).toBe("TimeoutError");
+                });
+            });
+            it("can be set per phase", () => {
+                return runMiddleware({
+                    before: () => {
+                        return new Promise((resolve) => {
+                            setTimeout(resolve, 40);
+                        });
+                    },
+                    each: () => {
+                        return new Promise(() => {});
+                    },
+                    timeout: {
+                        each: 20
+                    }
+                }).then(jasmine.fail, (err) => {
+                    expect(err.phase).toBe("each");
+                    expect(err.filename).toBe("test.txt");
+                    expect(err.cause.name).toBe("TimeoutError");
+                });
+            });
         });
-        describe(".match", () => {
-            beforeEach(() => {
-                spyOn(pluginKit, "filenameMatcher").and.callThrough();
+    });
+    describe(".moveFiles()", () => {
+        var files;
+
+        beforeEach(() => {
+            files = {
+                "pages/about.md": {},
+                "posts/2020-hello.md": {
+                    title: "Hello"
+                },
+                "posts/2021-world.md": {}
+            };
+        });
+        it("moves files using a template", () => {
+            var file;
+
+            file = files["posts/2020-hello.md"];
+            expect(pluginKit.moveFiles(files, "posts/*-*.md", "$1/$2.md")).toEqual({
+                "posts/2020-hello.md": "2020/hello.md",
+                "posts/2021-world.md": "2021/world.md"
             });
-            it("defaults to **/*", () => {
-                return runMiddleware().then(() => {
-                    expect(pluginKit.filenameMatcher).toHaveBeenCalledWith(
-                        "**/*",
-                        jasmine.any(Object)
-                    );
-                });
+            expect(Object.keys(files).sort()).toEqual([
+                "2020/hello.md",
+                "2021/world.md",
+                "pages/about.md"
+            ]);
+            expect(files["2020/hello.md"]).toBe(file);
+            expect(file.title).toBe("Hello");
+            expect(file.originalPath).toBe("posts/2020-hello.md");
+        });
+        it("uses the filename and named groups", () => {
+            pluginKit.moveFiles(files, new RegExp("^pages/(?<slug>\\w+)(-\\d)?"), "site/$<slug>/$&$2");
+            expect(files["site/about/pages/about.md"]).toBeDefined();
+        });
+        it("throws for missing captures and groups", () => {
+            expect(() => {
+                pluginKit.moveFiles(files, "pages/*.md", "$2/$&");
+            }).toThrowError("Destination template \"$2/$&\" refers to $2, which the pattern for pages/about.md does not capture");
+            expect(() => {
+                pluginKit.moveFiles(files, /^pages/, "$<slug>.md");
+            }).toThrowError(/refers to \$<slug>/);
+            expect(files["pages/about.md"]).toBeDefined();
+        });
+        it("writes filenames with the separator", () => {
+            pluginKit.moveFiles(files, "posts/*-*.md", "$1/$2.md", {
+                separator: "\\"
             });
-            it("passes any other value", () => {
-                return runMiddleware({
-                    match: ["anything", /goes/, function here() {}]
-                }).then(() => {
-                    expect(pluginKit.filenameMatcher).toHaveBeenCalledWith(
-                        [
-                            "anything",
-                            jasmine.any(RegExp),
-                            jasmine.any(Function)
-                        ],
-                        jasmine.any(Object)
-                    );
-                });
+            pluginKit.moveFiles(files, "pages/*", "site\\$1");
+            expect(Object.keys(files).sort()).toEqual([
+                "2020\\hello.md",
+                "2021\\world.md",
+                path.join("site", "about.md")
+            ]);
+        });
+        it("uses a destination function", () => {
+            pluginKit.moveFiles(files, "posts/*", (filename, file, details) => {
+                return `archive/${details.captures[0]}`;
             });
+            expect(Object.keys(files).sort()).toEqual([
+                "archive/2020-hello.md",
+                "archive/2021-world.md",
+                "pages/about.md"
+            ]);
         });
-        describe(".matchOptions", () => {
-            beforeEach(() => {
-                spyOn(pluginKit, "filenameMatcher").and.callThrough();
+        it("applies the collision policy", () => {
+            expect(() => {
+                pluginKit.moveFiles(files, "posts/*", "all.md");
+            }).toThrowError("File already exists: all.md");
+            expect(pluginKit.moveFiles(files, "posts/*", "all.md", {
+                ifExists: "suffix"
+            })).toEqual({
+                "posts/2020-hello.md": "all.md",
+                "posts/2021-world.md": "all-1.md"
             });
-            it("defaults to an empty object", () => {
-                return runMiddleware().then(() => {
-                    expect(pluginKit.filenameMatcher).toHaveBeenCalledWith(
-                        jasmine.any(String),
-                        {}
-                    );
-                });
+        });
+        it("moves nothing when a collision throws", () => {
+            var x;
+
+            x = {};
+            files = {
+                "a/x.md": x,
+                "a/y.md": {},
+                "b/y.md": {}
+            };
+            expect(() => {
+                pluginKit.moveFiles(files, "a/*.md", "b/$1.md");
+            }).toThrowError("File already exists: b/y.md");
+            expect(Object.keys(files)).toEqual(["a/x.md", "a/y.md", "b/y.md"]);
+            expect(x.originalPath).not.toBeDefined();
+            expect(pluginKit.moveFiles(files, "a/*.md", "b/$1.md", {
+                ifExists: "skip"
+            })).toEqual({
+                "a/x.md": "b/x.md"
             });
-            it("can be set to anything else", () => {
-                var options;
+            expect(Object.keys(files).sort()).toEqual(["a/y.md", "b/x.md", "b/y.md"]);
+        });
+        it("moves files into names that other files are leaving", () => {
+            var one, two;
 
-                options = {
-                    dot: true
-                };
+            one = {};
+            two = {};
+            files = {
+                "p/1.md": one,
+                "p/2.md": two
+            };
+            expect(pluginKit.moveFiles(files, "p/*.md", (filename, file, details) => {
+                return `p/${Number(details.captures[0]) + 1}.md`;
+            })).toEqual({
+                "p/1.md": "p/2.md",
+                "p/2.md": "p/3.md"
+            });
+            expect(files).toEqual({
+                "p/2.md": one,
+                "p/3.md": two
+            });
+            expect(files["p/2.md"]).toBe(one);
+            expect(one.originalPath).toBe("p/1.md");
+            expect(two.originalPath).toBe("p/2.md");
+        });
+        it("does not move a file twice", () => {
+            var about;
 
-                return runMiddleware({
-                    matchOptions: options
-                }).then(() => {
-                    expect(pluginKit.filenameMatcher).toHaveBeenCalledWith(
-                        jasmine.any(String),
-                        options
-                    );
-                });
+            about = files["pages/about.md"];
+            expect(pluginKit.moveFiles(files, "**/*.md", (filename) => {
+                if (filename === "pages/about.md") {
+                    return "posts/2021-world.md";
+                }
+
+                return `moved/${filename}`;
+            })).toEqual({
+                "pages/about.md": "posts/2021-world.md",
+                "posts/2020-hello.md": "moved/posts/2020-hello.md",
+                "posts/2021-world.md": "moved/posts/2021-world.md"
             });
+            expect(files["posts/2021-world.md"]).toBe(about);
         });
-        describe(".name", () => {
-            it("does not name middleware normally", () => {
-                var middleware;
+    });
+    describe(".parseFrontMatter()", () => {
+        it("parses YAML", () => {
+            expect(pluginKit.parseFrontMatter("---\ntitle: Hello\ntags:\n  - a\n---\nBody\n")).toEqual({
+                body: "Body\n",
+                data: {
+                    tags: ["a"],
+                    title: "Hello"
+                },
+                format: "yaml"
+            });
+        });
+        it("parses JSON from a buffer", () => {
+            expect(pluginKit.parseFrontMatter(Buffer.from("\ufeff---json\r\n{\"a\": 1}\r\n...\r\nBody", "utf8"))).toEqual({
+                body: "Body",
+                data: {
+                    a: 1
+                },
+                format: "json"
+            });
+        });
+        it("handles empty front-matter and empty bodies", () => {
+            expect(pluginKit.parseFrontMatter("---\n---\nBody")).toEqual({
+                body: "Body",
+                data: {},
+                format: "yaml"
+            });
+            expect(pluginKit.parseFrontMatter("---yml\na: 1\n---")).toEqual({
+                body: "",
+                data: {
+                    a: 1
+                },
+                format: "yaml"
+            });
+        });
+        it("returns the whole text without front-matter", () => {
+            expect(pluginKit.parseFrontMatter("Just text\n---\n")).toEqual({
+                body: "Just text\n---\n",
+                data: {},
+                format: null
+            });
+        });
+        it("throws when the front-matter is not an object", () => {
+            expect(() => {
+                pluginKit.parseFrontMatter("---\njust a string\n---\nbody");
+            }).toThrowError("Front-matter must be an object, not string");
+            expect(() => {
+                pluginKit.parseFrontMatter("---json\n[1, 2]\n---\nbody");
+            }).toThrowError("Front-matter must be an object, not array");
+            expect(pluginKit.parseFrontMatter("---\n~\n---\nbody").data).toEqual({});
+        });
+        it("throws for unsupported formats and invalid data", () => {
+            expect(() => {
+                pluginKit.parseFrontMatter("---toml\na = 1\n---\n");
+            }).toThrowError("Unsupported front-matter format: toml");
+            expect(() => {
+                pluginKit.parseFrontMatter("---json\n{\n---\n");
+            }).toThrow();
+        });
+    });
+    describe(".registerSerializer()", () => {
+        it("uses the format as the extension", () => {
+            var files;
 
-                middleware = pluginKit.middleware({});
-                expect(middleware.name).not.toBe("some-name-goes-here");
+            files = {};
+            pluginKit.registerSerializer("test-upper", (value, options) => {
+                return String(value).toUpperCase() + (options.suffix || "");
             });
-            it("names middleware when defined", () => {
-                var middleware;
+            pluginKit.addFile(files, "a.test-upper", 12e3);
+            pluginKit.addFile(files, "b.txt", true, {
+                format: "test-upper",
+                formatOptions: {
+                    suffix: "!"
+                }
+            });
+            expect(files["a.test-upper"].contents.toString("utf8")).toBe("12000");
+            expect(files["b.txt"].contents.toString("utf8")).toBe("TRUE!");
+        });
+        it("registers extensions and accepts buffers", () => {
+            var files;
 
-                middleware = pluginKit.middleware({
-                    name: "some-name-goes-here"
-                });
-                expect(middleware.name).toBe("some-name-goes-here");
+            files = {};
+            pluginKit.registerSerializer("test-buffer", (value) => {
+                return Buffer.from([value.length]);
+            }, {
+                extensions: ["TB1", "tb2"]
+            });
+            pluginKit.addFile(files, "a.tb1", [1, 2]);
+            pluginKit.addFile(files, "a.tb2", [1, 2, 3]);
+            pluginKit.addFile(files, "a.test-buffer", [1]);
+            expect(files["a.tb1"].contents).toEqual(Buffer.from([2]));
+            expect(files["a.tb2"].contents).toEqual(Buffer.from([3]));
+            expect(files["a.test-buffer"].contents.toString("utf8")).toBe("[1]");
+        });
+    });
+    describe(".removeFile()", () => {
+        it("removes and returns the file", () => {
+            var file, files;
+
+            file = {};
+            files = {
+                "a.txt": file
+            };
+            expect(pluginKit.removeFile(files, "a.txt")).toBe(file);
+            expect(files).toEqual({});
+        });
+        it("returns null for missing files", () => {
+            expect(pluginKit.removeFile({}, "a.txt")).toBe(null);
+        });
+    });
+    describe(".renameFile()", () => {
+        var files;
+
+        beforeEach(() => {
+            files = {
+                "a.md": {
+                    title: "A"
+                },
+                "b.md": {},
+                "b-1.md": {}
+            };
+        });
+        it("keeps the file object and its original path", () => {
+            var file;
+
+            file = files["a.md"];
+            expect(pluginKit.renameFile(files, "a.md", "c.md")).toBe("c.md");
+            expect(pluginKit.renameFile(files, "c.md", "d.md")).toBe("d.md");
+            expect(files["d.md"]).toBe(file);
+            expect(files["a.md"]).not.toBeDefined();
+            expect(files["c.md"]).not.toBeDefined();
+            expect(file.originalPath).toBe("a.md");
+        });
+        it("writes the new filename with the separator", () => {
+            pluginKit.renameFile(files, "a.md", "x\\y/a.md");
+            pluginKit.renameFile(files, "b.md", "x/y\\b.md", {
+                separator: "\\"
             });
+            pluginKit.renameFile(files, "b-1.md", "x\\b.md", {
+                separator: null
+            });
+            expect(Object.keys(files).sort()).toEqual([
+                path.join("x", "y", "a.md"),
+                "x\\b.md",
+                "x\\y\\b.md"
+            ].sort());
+        });
+        it("does nothing when the name is the same", () => {
+            expect(pluginKit.renameFile(files, "a.md", "a.md")).toBe("a.md");
+            expect(files["a.md"].originalPath).not.toBeDefined();
+        });
+        it("throws for missing files", () => {
+            expect(() => {
+                pluginKit.renameFile(files, "x.md", "y.md");
+            }).toThrowError("File does not exist: x.md");
+        });
+        it("throws when the new name is in use by default", () => {
+            var err;
+
+            try {
+                pluginKit.renameFile(files, "a.md", "b.md");
+            } catch (e) {
+                err = e;
+            }
+
+            expect(err.code).toBe("EEXIST");
+            expect(err.filename).toBe("b.md");
+            expect(files["a.md"]).toBeDefined();
+        });
+        it("skips", () => {
+            expect(pluginKit.renameFile(files, "a.md", "b.md", {
+                ifExists: "skip"
+            })).toBe(null);
+            expect(files["a.md"].title).toBe("A");
+        });
+        it("overwrites", () => {
+            expect(pluginKit.renameFile(files, "a.md", "b.md", {
+                ifExists: "overwrite"
+            })).toBe("b.md");
+            expect(files["b.md"].title).toBe("A");
+        });
+        it("adds a numeric suffix", () => {
+            expect(pluginKit.renameFile(files, "a.md", "b.md", {
+                ifExists: "suffix"
+            })).toBe("b-2.md");
+            expect(files["b-2.md"].title).toBe("A");
         });
     });
     describe(".renameFunction", () => {
@@ -643,4 +3675,388 @@ describe("metalsmith-plugin-kit", () => {
             expect(arrow.name).toBe("arrowFunctionGoesHere");
         });
     });
+    describe(".scope()", () => {
+        var files;
+
+        beforeEach(() => {
+            files = {
+                "blog/a.md": {
+                    title: "a"
+                },
+                "blog/b.md": {
+                    title: "b"
+                },
+                "index.md": {
+                    title: "index"
+                }
+            };
+        });
+        it("only passes matching files to the plugins", () => {
+            var seen;
+
+            return runPlugin(pluginKit.scope("blog/**", (f) => {
+                seen = Object.keys(f);
+            }), files).then(() => {
+                expect(seen).toEqual(["blog/a.md", "blog/b.md"]);
+            });
+        });
+        it("uses match options", () => {
+            var scoped, seen;
+
+            files[".hidden/x.md"] = {};
+            files["blog/C.MD"] = {};
+            scoped = pluginKit.scope("**/*.md", {
+                matchOptions: {
+                    dot: true,
+                    nocase: true
+                }
+            }, (f) => {
+                seen = Object.keys(f);
+            });
+            expect(scoped.name).toBe("scope(chain(anonymous))");
+
+            return runPlugin(scoped, files).then(() => {
+                expect(seen.sort()).toEqual([
+                    ".hidden/x.md",
+                    "blog/C.MD",
+                    "blog/a.md",
+                    "blog/b.md",
+                    "index.md"
+                ]);
+
+                return runPlugin(pluginKit.scope("**/*.md", (f) => {
+                    seen = Object.keys(f);
+                }), files);
+            }).then(() => {
+                expect(seen).not.toContain(".hidden/x.md");
+            });
+        });
+        it("merges additions, edits and deletions", () => {
+            var indexFile;
+
+            indexFile = files["index.md"];
+
+            return runPlugin(pluginKit.scope("blog/**", (f) => {
+                f["blog/c.md"] = {
+                    title: "c"
+                };
+                f["blog/a.md"] = {
+                    title: "edited"
+                };
+                delete f["blog/b.md"];
+            }), files).then(() => {
+                expect(files).toEqual({
+                    "blog/a.md": {
+                        title: "edited"
+                    },
+                    "blog/c.md": {
+                        title: "c"
+                    },
+                    "index.md": {
+                        title: "index"
+                    }
+                });
+                expect(files["index.md"]).toBe(indexFile);
+            });
+        });
+        it("passes along errors without merging", () => {
+            return runPlugin(pluginKit.scope("blog/**", (f) => {
+                delete f["blog/a.md"];
+                throw new Error("scoped failure");
+            }), files).then(jasmine.fail, (err) => {
+                expect(err.cause.message).toBe("scoped failure");
+                expect(files["blog/a.md"]).toBeDefined();
+            });
+        });
+        it("is named after the chain", () => {
+            /**
+             * A named plugin.
+             */
+            function drafts() {}
+
+            expect(pluginKit.scope("*", drafts).name).toBe("scope(chain(drafts))");
+        });
+    });
+    describe(".stringifyFrontMatter()", () => {
+        it("writes YAML by default", () => {
+            expect(pluginKit.stringifyFrontMatter({
+                skipped: () => {},
+                tags: ["a"],
+                title: "Hello"
+            }, "Body")).toBe("---\ntags:\n  - a\ntitle: Hello\n---\nBody");
+        });
+        it("writes JSON with a buffer body", () => {
+            expect(pluginKit.stringifyFrontMatter({
+                a: 1
+            }, Buffer.from("Body", "utf8"), {
+                format: "json",
+                indent: 4
+            })).toBe("---json\n{\n    \"a\": 1\n}\n---\nBody");
+        });
+        it("can be parsed again", () => {
+            var data, text;
+
+            data = {
+                date: new Date(0),
+                nested: {
+                    list: [1, "two"]
+                }
+            };
+            text = pluginKit.stringifyFrontMatter(data);
+            expect(pluginKit.parseFrontMatter(text)).toEqual({
+                body: "",
+                data,
+                format: "yaml"
+            });
+        });
+        it("throws for unsupported formats", () => {
+            expect(() => {
+                pluginKit.stringifyFrontMatter({}, "", {
+                    format: "toml"
+                });
+            }).toThrowError("Unsupported front-matter format: toml");
+        });
+    });
+    describe(".validateOptions()", () => {
+        var schema;
+
+        /**
+         * Runs validateOptions and returns the problems that were found.
+         *
+         * @param {Object} override
+         * @return {Array.<string>}
+         */
+        function problems(override) {
+            try {
+                pluginKit.validateOptions(schema, override);
+            } catch (err) {
+                expect(err.code).toBe("ERR_INVALID_OPTIONS");
+
+                return err.problems;
+            }
+
+            return [];
+        }
+
+        beforeEach(() => {
+            schema = {
+                count: {
+                    default: 3,
+                    max: 10,
+                    min: 1,
+                    type: "number"
+                },
+                match: {
+                    default: "*.md",
+                    type: ["string", "regexp", "array"]
+                },
+                matchOptions: {
+                    properties: {
+                        dot: {
+                            default: false,
+                            type: "boolean"
+                        },
+                        nocase: {
+                            type: "boolean"
+                        }
+                    }
+                },
+                mode: {
+                    default: "fast",
+                    enum: ["fast", "slow"]
+                }
+            };
+        });
+        it("applies defaults", () => {
+            expect(pluginKit.validateOptions(schema)).toEqual({
+                count: 3,
+                match: "*.md",
+                matchOptions: {
+                    dot: false
+                },
+                mode: "fast"
+            });
+        });
+        it("uses supplied values and clones them", () => {
+            var list, result;
+
+            list = ["a", "b"];
+            result = pluginKit.validateOptions(schema, {
+                count: 5,
+                match: list,
+                matchOptions: {
+                    nocase: true
+                }
+            });
+            expect(result).toEqual({
+                count: 5,
+                match: ["a", "b"],
+                matchOptions: {
+                    dot: false,
+                    nocase: true
+                },
+                mode: "fast"
+            });
+            expect(result.match).not.toBe(list);
+        });
+        it("accepts anything when there is no type", () => {
+            expect(pluginKit.validateOptions({
+                anything: {}
+            }, {
+                anything: /x/
+            }).anything).toEqual(/x/);
+        });
+        it("reports unknown keys with suggestions", () => {
+            expect(problems({
+                matchOption: {},
+                zzz: true
+            })).toEqual([
+                "Unknown option \"matchOption\", did you mean \"matchOptions\"?",
+                "Unknown option \"zzz\""
+            ]);
+        });
+        it("reports wrong types", () => {
+            expect(problems({
+                count: "5",
+                match: 7
+            })).toEqual([
+                "Option \"count\" must be number, not string",
+                "Option \"match\" must be string or regexp or array, not number"
+            ]);
+        });
+        it("reports enums and ranges", () => {
+            expect(problems({
+                count: 11,
+                mode: "medium"
+            })).toEqual([
+                "Option \"count\" must be at most 10",
+                "Option \"mode\" must be one of \"fast\", \"slow\""
+            ]);
+            expect(problems({
+                count: 0
+            })).toEqual([
+                "Option \"count\" must be at least 1"
+            ]);
+        });
+        it("reports required keys", () => {
+            schema.destination = {
+                required: true,
+                type: "string"
+            };
+            expect(problems({})).toEqual([
+                "Option \"destination\" is required"
+            ]);
+        });
+        it("reports problems in nested objects", () => {
+            expect(problems({
+                matchOptions: {
+                    dots: true,
+                    nocase: "yes"
+                }
+            })).toEqual([
+                "Unknown option \"matchOptions.dots\", did you mean \"matchOptions.dot\"?",
+                "Option \"matchOptions.nocase\" must be boolean, not string"
+            ]);
+        });
+        it("requires nested options to be plain objects", () => {
+            expect(problems({
+                matchOptions: "str"
+            })).toEqual([
+                "Option \"matchOptions\" must be object, not string"
+            ]);
+            expect(problems({
+                matchOptions: new Date(0)
+            })).toEqual([
+                "Option \"matchOptions\" must be object, not date"
+            ]);
+            expect(problems({
+                matchOptions: null
+            })).toEqual([
+                "Option \"matchOptions\" must be object, not null"
+            ]);
+        });
+        it("lists every problem in the message", () => {
+            expect(() => {
+                pluginKit.validateOptions(schema, {
+                    count: "1",
+                    matchOption: {}
+                });
+            }).toThrowError("Invalid options:\n    * Unknown option \"matchOption\", did you mean \"matchOptions\"?\n    * Option \"count\" must be number, not string");
+        });
+    });
+    describe(".when()", () => {
+        var files;
+
+        /**
+         * Plugin that marks the files as having been processed.
+         *
+         * @param {Object} f Files
+         */
+        function mark(f) {
+            f.ran = true;
+        }
+
+        beforeEach(() => {
+            files = {};
+        });
+        it("runs plugins when the predicate is truthy", () => {
+            return runPlugin(pluginKit.when(() => {
+                return true;
+            }, mark), files).then(() => {
+                expect(files.ran).toBe(true);
+            });
+        });
+        it("skips plugins when the predicate is falsy", () => {
+            return runPlugin(pluginKit.when(() => {
+                return false;
+            }, mark), files).then(() => {
+                expect(files.ran).not.toBeDefined();
+            });
+        });
+        it("passes files and metalsmith to the predicate", () => {
+            var metalsmith;
+
+            metalsmith = {};
+
+            return new Promise((resolve, reject) => {
+                pluginKit.when((f, m) => {
+                    expect(f).toBe(files);
+                    expect(m).toBe(metalsmith);
+
+                    return true;
+                }, mark)(files, metalsmith, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+        it("supports asynchronous predicates", () => {
+            return runPlugin(pluginKit.when((f, m, done) => {
+                setTimeout(() => {
+                    done(null, true);
+                }, 10);
+            }, mark), files).then(() => {
+                expect(files.ran).toBe(true);
+            });
+        });
+        it("accepts values that are not functions", () => {
+            return runPlugin(pluginKit.when(false, mark), files).then(() => {
+                expect(files.ran).not.toBeDefined();
+            });
+        });
+        it("passes along predicate errors", () => {
+            return runPlugin(pluginKit.when(() => {
+                throw new Error("predicate failure");
+            }, mark), files).then(jasmine.fail, (err) => {
+                expect(err.message).toBe("predicate failure");
+                expect(files.ran).not.toBeDefined();
+            });
+        });
+        it("is named after the chain", () => {
+            expect(pluginKit.when(true, mark).name).toBe("when(chain(mark))");
+        });
+    });
 });